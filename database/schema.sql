@@ -9,13 +9,32 @@ CREATE TABLE IF NOT EXISTS slack_workspaces (
     id SERIAL PRIMARY KEY,
     team_id VARCHAR(255) UNIQUE NOT NULL,
     team_name VARCHAR(255) NOT NULL,
-    bot_token_encrypted TEXT NOT NULL,  -- SECURITY: Encrypted with AES-256-GCM
+    bot_token_encrypted TEXT,  -- SECURITY: Encrypted with AES-256-GCM (NULL once uninstalled)
     bot_id VARCHAR(255),
     bot_user_id VARCHAR(255),
     scope TEXT,
     installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT TRUE
+    is_active BOOLEAN DEFAULT TRUE,
+    thread_mode BOOLEAN DEFAULT FALSE,  -- Default for threaded notifications
+    timezone VARCHAR(100),  -- Installer's Slack timezone, used for digest times
+    team_api_key_encrypted TEXT,  -- SECURITY: Shared Deffatest key for users who haven't linked, encrypted
+    team_key_set_by VARCHAR(255),
+    team_key_set_at TIMESTAMP
+);
+
+-- Channel settings table (per-channel overrides of workspace defaults)
+CREATE TABLE IF NOT EXISTS slack_channel_settings (
+    id SERIAL PRIMARY KEY,
+    team_id VARCHAR(255) NOT NULL,
+    channel_id VARCHAR(255) NOT NULL,
+    thread_mode BOOLEAN,  -- NULL uses the workspace default
+    digest_frequency VARCHAR(20),  -- daily, weekly or NULL (off)
+    digest_next_at TIMESTAMPTZ,
+    digest_last_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(team_id, channel_id)
 );
 
 -- User links table (maps Slack users to Deffatest accounts)
@@ -29,6 +48,7 @@ CREATE TABLE IF NOT EXISTS user_links (
     linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE,
+    dm_notifications BOOLEAN DEFAULT TRUE,  -- DM when the user's tests finish
     UNIQUE(slack_team_id, slack_user_id)
 );
 
@@ -42,6 +62,16 @@ CREATE TABLE IF NOT EXISTS slack_tests (
     test_type VARCHAR(50),
     url TEXT,
     duration VARCHAR(50),
+    app_name VARCHAR(255),  -- Mobile tests only
+    platform VARCHAR(50),  -- Mobile and game tests (android, ios, windows, ...)
+    session_length VARCHAR(50),  -- Game tests only
+    input_mode VARCHAR(50),  -- Game tests only (keyboard, gamepad, touch)
+    message_ts VARCHAR(50),  -- "Test started" message, updated with progress
+    thread_ts VARCHAR(50),  -- Set when the "Test started" message is a thread reply (re-runs)
+    slack_file_id VARCHAR(255),  -- Mobile tests only: uploaded app, reused for re-runs
+    previous_test_id VARCHAR(255),  -- Set for re-runs
+    progress INTEGER DEFAULT 0,
+    progress_updated_at TIMESTAMP,  -- Throttles progress message updates
     status VARCHAR(50) DEFAULT 'running',
     bugs_critical INTEGER DEFAULT 0,
     bugs_high INTEGER DEFAULT 0,
@@ -51,6 +81,142 @@ CREATE TABLE IF NOT EXISTS slack_tests (
     completed_at TIMESTAMP
 );
 
+-- Recurring test schedules (run by the bot's in-process scheduler)
+CREATE TABLE IF NOT EXISTS test_schedules (
+    id SERIAL PRIMARY KEY,
+    team_id VARCHAR(255) NOT NULL,
+    channel_id VARCHAR(255) NOT NULL,  -- Results are posted here
+    user_id VARCHAR(255) NOT NULL,  -- Owner: tests run with their linked API key
+    url TEXT NOT NULL,
+    duration VARCHAR(50) NOT NULL,
+    cron VARCHAR(255) NOT NULL,
+    timezone VARCHAR(100) DEFAULT 'UTC',  -- Owner's Slack timezone when created
+    next_run_at TIMESTAMPTZ NOT NULL,
+    last_run_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+-- Processed webhook deliveries, kept for WEBHOOK_EVENT_TTL_HOURS to drop retries
+CREATE TABLE IF NOT EXISTS webhook_events (
+    event_id VARCHAR(255) PRIMARY KEY,
+    event_type VARCHAR(100),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Durable queue of webhook deliveries, processed by the notification worker
+CREATE TABLE IF NOT EXISTS webhook_jobs (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(255),
+    event_type VARCHAR(100),
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending',  -- pending, processing, completed, dead
+    attempts INTEGER DEFAULT 0,
+    completed_steps JSONB DEFAULT '[]',  -- Notifications already sent, skipped on retry
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP,  -- Lease of the worker processing the job
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Users who get DMs when a test finishes (the initiator is added when the test starts).
+-- Created once with a backfill so running tests from before watchers keep DMing their initiator
+DO $$
+BEGIN
+    IF to_regclass('test_watchers') IS NULL THEN
+        CREATE TABLE test_watchers (
+            id SERIAL PRIMARY KEY,
+            test_id VARCHAR(255) NOT NULL,
+            slack_team_id VARCHAR(255) NOT NULL,
+            slack_user_id VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(test_id, slack_user_id)
+        );
+
+        INSERT INTO test_watchers (test_id, slack_team_id, slack_user_id)
+            SELECT test_id, slack_team_id, slack_user_id FROM slack_tests WHERE status = 'running';
+    END IF;
+END $$;
+
+-- Workspace rules for who may start tests, where, and for how long
+CREATE TABLE IF NOT EXISTS test_policies (
+    team_id VARCHAR(255) PRIMARY KEY,
+    allowed_users TEXT[] DEFAULT '{}',  -- User and user group IDs besides admins; empty lets everyone start tests
+    allowed_channels TEXT[] DEFAULT '{}',  -- Empty allows every channel
+    max_duration_admin VARCHAR(20),  -- NULL means no limit
+    max_duration_member VARCHAR(20),
+    allowed_domains TEXT[] DEFAULT '{}',  -- Target host patterns such as *.staging.example.com; empty allows any public host
+    blocked_hosts TEXT[] DEFAULT '{}',  -- Target host patterns that are never tested
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Test count and minute budgets per workspace (NULL means no limit)
+CREATE TABLE IF NOT EXISTS usage_budgets (
+    team_id VARCHAR(255) PRIMARY KEY,
+    daily_tests INTEGER,
+    daily_minutes INTEGER,
+    monthly_tests INTEGER,
+    monthly_minutes INTEGER,
+    alert_channel_id VARCHAR(255),  -- Where 80% and 100% warnings are posted
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Budget warnings already posted, so each threshold warns once per period
+CREATE TABLE IF NOT EXISTS budget_warnings (
+    team_id VARCHAR(255) NOT NULL,
+    period_key VARCHAR(50) NOT NULL,  -- e.g. daily:2024-01-31 or monthly:2024-01
+    metric VARCHAR(20) NOT NULL,  -- tests or minutes
+    threshold INTEGER NOT NULL,  -- Percent of the budget: 80 or 100
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, period_key, metric, threshold)
+);
+
+-- Critical and high bugs listed on bug alerts, with their triage state
+CREATE TABLE IF NOT EXISTS test_bugs (
+    id SERIAL PRIMARY KEY,
+    test_id VARCHAR(255) NOT NULL,
+    bug_id VARCHAR(255) NOT NULL,
+    slack_team_id VARCHAR(255) NOT NULL,
+    severity VARCHAR(20) NOT NULL,
+    title TEXT,
+    alert_ts VARCHAR(50),  -- Bug alert message the bug is listed on
+    triage_status VARCHAR(50) DEFAULT 'open',  -- open, acknowledged, false_positive
+    assignee_slack_id VARCHAR(255),
+    triaged_by VARCHAR(255),
+    triaged_at TIMESTAMP,
+    synced BOOLEAN DEFAULT TRUE,  -- False until the latest triage change reached Deffatest
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(test_id, bug_id)
+);
+
+-- Migrations for existing installs
+ALTER TABLE slack_workspaces ALTER COLUMN bot_token_encrypted DROP NOT NULL;
+ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS thread_mode BOOLEAN DEFAULT FALSE;
+ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS timezone VARCHAR(100);
+ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS team_api_key_encrypted TEXT;
+ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS team_key_set_by VARCHAR(255);
+ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS team_key_set_at TIMESTAMP;
+ALTER TABLE test_policies ADD COLUMN IF NOT EXISTS allowed_domains TEXT[] DEFAULT '{}';
+ALTER TABLE test_policies ADD COLUMN IF NOT EXISTS blocked_hosts TEXT[] DEFAULT '{}';
+ALTER TABLE slack_channel_settings ADD COLUMN IF NOT EXISTS digest_frequency VARCHAR(20);
+ALTER TABLE slack_channel_settings ADD COLUMN IF NOT EXISTS digest_next_at TIMESTAMPTZ;
+ALTER TABLE slack_channel_settings ADD COLUMN IF NOT EXISTS digest_last_at TIMESTAMPTZ;
+ALTER TABLE user_links ADD COLUMN IF NOT EXISTS dm_notifications BOOLEAN DEFAULT TRUE;
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS app_name VARCHAR(255);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS platform VARCHAR(50);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS session_length VARCHAR(50);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS input_mode VARCHAR(50);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS message_ts VARCHAR(50);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0;
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS progress_updated_at TIMESTAMP;
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS thread_ts VARCHAR(50);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS slack_file_id VARCHAR(255);
+ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS previous_test_id VARCHAR(255);
+
 -- Performance indexes
 CREATE INDEX IF NOT EXISTS idx_workspaces_team ON slack_workspaces(team_id);
 CREATE INDEX IF NOT EXISTS idx_workspaces_active ON slack_workspaces(is_active);
@@ -58,14 +224,23 @@ CREATE INDEX IF NOT EXISTS idx_user_links_user ON user_links(slack_team_id, slac
 CREATE INDEX IF NOT EXISTS idx_user_links_active ON user_links(is_active);
 CREATE INDEX IF NOT EXISTS idx_tests_test_id ON slack_tests(test_id);
 CREATE INDEX IF NOT EXISTS idx_tests_channel ON slack_tests(slack_channel_id);
+CREATE INDEX IF NOT EXISTS idx_tests_channel_started ON slack_tests(slack_channel_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tests_team_url ON slack_tests(slack_team_id, url);
 CREATE INDEX IF NOT EXISTS idx_tests_status ON slack_tests(status);
+CREATE INDEX IF NOT EXISTS idx_channel_digests_due ON slack_channel_settings(digest_next_at) WHERE digest_frequency IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_schedules_due ON test_schedules(next_run_at) WHERE is_active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_due ON webhook_jobs(next_attempt_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_status ON webhook_jobs(status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_test_bugs_alert ON test_bugs(test_id, alert_ts);
+CREATE INDEX IF NOT EXISTS idx_tests_team_started ON slack_tests(slack_team_id, started_at);
 
 -- ============================================
 -- SECURITY NOTES:
 -- ============================================
--- 1. bot_token_encrypted and api_key_encrypted store AES-256-GCM encrypted data
--- 2. Format: iv:authTag:ciphertext (all hex encoded)
--- 3. The ENCRYPTION_KEY environment variable is required for decryption
+-- 1. bot_token_encrypted, team_api_key_encrypted and api_key_encrypted store AES-256-GCM encrypted data
+-- 2. Format: keyId:iv:authTag:ciphertext (hex encoded; values written before key IDs are iv:authTag:ciphertext)
+-- 3. The ENCRYPTION_KEY environment variable is required for decryption; rotated-out keys go in ENCRYPTION_OLD_KEYS
 -- 4. Never store unencrypted tokens in the database
--- 5. Rotate ENCRYPTION_KEY periodically (requires re-encrypting all data)
+-- 5. Rotate ENCRYPTION_KEY periodically, then run `npm run encryption-keys -- reencrypt`
 -- ============================================
@@ -0,0 +1,58 @@
+/**
+ * Encryption Key Rotation
+ * Reports and re-encrypts stored secrets that aren't under the current ENCRYPTION_KEY
+ *
+ * To rotate: move the old key to ENCRYPTION_OLD_KEYS, set a new ENCRYPTION_KEY,
+ * restart, run reencrypt, then drop the old key once status shows nothing left.
+ *
+ * Usage:
+ *   npm run encryption-keys -- status
+ *   npm run encryption-keys -- reencrypt
+ */
+
+require('dotenv').config();
+
+const { pool, countStaleSecrets, reencryptSecrets } = require('../src/services/database');
+const { getCurrentKeyId } = require('../src/utils/crypto');
+
+async function status() {
+    const counts = await countStaleSecrets();
+    
+    console.log(`Current key: ${getCurrentKeyId()}`);
+    for (const { table, column, count } of counts) {
+        console.log(`${table}.${column}: ${count} value(s) under an older key`);
+    }
+}
+
+async function reencrypt() {
+    const summary = await reencryptSecrets();
+    
+    for (const { table, column, updated, failed } of summary) {
+        console.log(`${table}.${column}: ${updated} re-encrypted, ${failed} failed`);
+    }
+    
+    if (summary.some(({ failed }) => failed > 0)) {
+        console.error('Some values could not be decrypted. Check that every old key is in ENCRYPTION_OLD_KEYS.');
+        process.exitCode = 1;
+    }
+}
+
+(async () => {
+    const [command] = process.argv.slice(2);
+    
+    try {
+        if (command === 'status') {
+            await status();
+        } else if (command === 'reencrypt') {
+            await reencrypt();
+        } else {
+            console.error('Usage: npm run encryption-keys -- status | reencrypt');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
@@ -0,0 +1,58 @@
+/**
+ * Webhook Job Admin
+ * Lists and replays dead-lettered webhook jobs
+ *
+ * Usage:
+ *   npm run webhook-jobs -- list
+ *   npm run webhook-jobs -- replay <job-id>
+ *   npm run webhook-jobs -- replay all
+ */
+
+require('dotenv').config();
+
+const { pool, getDeadWebhookJobs, replayWebhookJobs } = require('../src/services/database');
+
+async function list() {
+    const jobs = await getDeadWebhookJobs();
+    
+    if (jobs.length === 0) {
+        console.log('No dead-lettered webhook jobs.');
+        return;
+    }
+    
+    for (const job of jobs) {
+        console.log(`#${job.id}  ${job.event_type}  test=${job.test_id || '-'}  attempts=${job.attempts}  failed=${job.updated_at.toISOString()}`);
+        console.log(`    ${job.last_error || 'No error recorded'}`);
+    }
+}
+
+async function replay(target) {
+    if (target !== 'all' && !parseInt(target)) {
+        console.error('Usage: npm run webhook-jobs -- replay <job-id>|all');
+        process.exitCode = 1;
+        return;
+    }
+    
+    const count = await replayWebhookJobs(target === 'all' ? null : parseInt(target));
+    console.log(count > 0 ? `Queued ${count} job(s) for another attempt.` : 'No matching dead-lettered job.');
+}
+
+(async () => {
+    const [command, target] = process.argv.slice(2);
+    
+    try {
+        if (command === 'list') {
+            await list();
+        } else if (command === 'replay') {
+            await replay(target);
+        } else {
+            console.error('Usage: npm run webhook-jobs -- list | replay <job-id>|all');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+})();
@@ -17,6 +17,8 @@ const oauthController = require('./controllers/oauth');
 const webhooksController = require('./controllers/webhooks');
 const { verifyDeffatestWebhook } = require('./middleware/auth');
 const { getWorkspaceToken } = require('./services/database');
+const { startScheduler } = require('./services/scheduler');
+const { startWebhookWorker } = require('./services/webhook-queue');
 const logger = require('./utils/logger');
 
 // Validate required environment variables
@@ -81,12 +83,24 @@ app.command('/deffatest-status', async ({ command, ack, respond, client }) => {
     await commandsController.handleStatusCommand(command, respond, client);
 });
 
+// /deffatest-history - Recent tests in this channel
+app.command('/deffatest-history', async ({ command, ack, respond }) => {
+    await ack();
+    await commandsController.handleHistoryCommand(command, respond);
+});
+
 // ============================================================================
 // EVENTS
 // ============================================================================
 
 // App mention (@deffatest)
-app.event('app_mention', async ({ event, client }) => {
+// Slack redelivers events it didn't get a 200 for within 3s; a redelivery would
+// start the same mobile test again, so only the first delivery is handled
+app.event('app_mention', async ({ event, client, context }) => {
+    if (context.retryNum) {
+        logger.debug(`Ignoring app_mention retry ${context.retryNum} (${context.retryReason})`);
+        return;
+    }
     await eventsController.handleMention(event, client);
 });
 
@@ -97,14 +111,29 @@ app.event('message', async ({ event, client }) => {
     }
 });
 
+// Home tab opened
+app.event('app_home_opened', async ({ event, body, client }) => {
+    await eventsController.handleAppHomeOpened(event, body.team_id, client);
+});
+
+// App removed from workspace
+app.event('app_uninstalled', async ({ body }) => {
+    await eventsController.handleAppUninstalled(body.team_id);
+});
+
+// Bot or user tokens revoked
+app.event('tokens_revoked', async ({ event, body }) => {
+    await eventsController.handleTokensRevoked(event, body.team_id);
+});
+
 // ============================================================================
 // INTERACTIONS (Buttons, Menus)
 // ============================================================================
 
 // Button clicks
-app.action(/^button_.*/, async ({ action, ack, body, client }) => {
+app.action(/^button_.*/, async ({ action, ack, body, client, respond }) => {
     await ack();
-    await interactionsController.handleButtonClick(action, body, client);
+    await interactionsController.handleButtonClick(action, body, client, respond);
 });
 
 // Select menus
@@ -114,9 +143,9 @@ app.action(/^select_.*/, async ({ action, ack, body, client }) => {
 });
 
 // View submissions (modals)
+// Handlers ack themselves so they can return inline validation errors
 app.view(/^modal_.*/, async ({ ack, body, view, client }) => {
-    await ack();
-    await interactionsController.handleViewSubmission(body, view, client);
+    await interactionsController.handleViewSubmission(body, view, client, ack);
 });
 
 // ============================================================================
@@ -137,12 +166,13 @@ receiver.router.get('/slack/success', oauthController.successPage);
 // ============================================================================
 
 // Receive webhooks from Deffatest when tests complete
+// Deliveries are queued and acknowledged at once; the webhook worker notifies Slack
 receiver.router.post('/webhooks/deffatest',
     verifyDeffatestWebhook,
     async (req, res) => {
         try {
-            await webhooksController.handleWebhook(req.body, app.client);
-            res.json({ success: true });
+            const { duplicate } = await webhooksController.receiveWebhook(req.body);
+            res.status(duplicate ? 200 : 202).json({ success: true });
         } catch (error) {
             logger.error('Webhook error:', error.message);
             res.status(500).json({ error: 'Internal error' });
@@ -169,6 +199,9 @@ const PORT = process.env.PORT || 3001;
     try {
         await app.start(PORT);
         logger.info(`⚡ Deffatest Slack Bot running on port ${PORT}`);
+        
+        startScheduler();
+        startWebhookWorker(webhooksController.handleWebhook);
     } catch (error) {
         logger.error('Failed to start:', error.message);
         process.exit(1);
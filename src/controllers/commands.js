@@ -1,16 +1,55 @@
 /**
  * Slash Command Handlers
- * Handles /deffatest and /deffatest-status commands
+ * Handles /deffatest, /deffatest-status and /deffatest-history commands
  */
 
 const DeffatestAPI = require('../services/deffatest-api');
-const { getUserLink, saveTest } = require('../services/database');
+const { 
+    getUserLink, 
+    unlinkUser, 
+    setWorkspaceThreadMode, 
+    setChannelThreadMode, 
+    getThreadMode,
+    getTestWatchers,
+    createSchedule,
+    getChannelSchedules,
+    getSchedule,
+    deleteSchedule,
+    ensureWorkspaceTimezone,
+    setChannelDigest,
+    getChannelDigest,
+    setWorkspaceTeamKey,
+    getWorkspaceTeamKey,
+    getTestPolicy,
+    saveTestPolicy,
+    getUsageBudget,
+    saveUsageBudget
+} = require('../services/database');
+const { isWorkspaceAdmin, checkTestPolicy } = require('../services/permissions');
+const { parseHostPattern } = require('../services/url-policy');
+const { cancelTestRun } = require('../services/test-control');
+const { publishHomeView } = require('../services/app-home');
+const { validateTestParams, submitTest, postTestStartedMessage } = require('../services/test-submission');
+const { buildHistoryMessage } = require('../services/test-history');
+const { getNextRun, validateCron } = require('../services/scheduler');
+const { DIGEST_FREQUENCIES, DIGEST_TIME, getDigestCron } = require('../services/digests');
+const { BUDGET_PERIODS, BUDGET_METRICS, getWorkspaceUsage } = require('../services/budgets');
 const { 
     buildTestStartedBlock, 
     buildTestStatusBlock,
+    buildScheduleListBlock,
+    buildPolicyBlock,
+    buildDomainPolicyBlock,
+    buildBudgetBlock,
+    buildUsageBlock,
     buildHelpBlock, 
     buildAuthRequiredBlock, 
-    buildErrorBlock 
+    buildLinkAccountModal,
+    buildTeamKeyModal,
+    buildNewTestModal,
+    buildWhoAmIBlock,
+    buildErrorBlock,
+    buildApiErrorBlock
 } = require('../utils/blocks');
 const logger = require('../utils/logger');
 
@@ -21,31 +60,48 @@ async function handleTestCommand(command, respond, client) {
     const { text, user_id, team_id, channel_id } = command;
     
     try {
+        // Dispatch subcommands: /deffatest <subcommand> ...
+        const subcommand = (text || '').trim().split(/\s+/)[0].toLowerCase();
+        if (SUBCOMMANDS[subcommand]) {
+            await SUBCOMMANDS[subcommand](command, respond, client);
+            return;
+        }
+        
+        // No arguments: open the new test modal
+        if (!text || !text.trim()) {
+            await openNewTestModal(command, respond, client, {});
+            return;
+        }
+        
         // Parse arguments
         const args = parseArgs(text);
         
-        // Show help if requested or no URL
-        if (args.help || (!args.url && !text.includes('--url'))) {
+        // Show help if requested
+        if (args.help) {
             await respond(buildHelpBlock());
             return;
         }
         
-        // Validate URL
-        if (!args.url) {
+        const params = {
+            ...args,
+            test_type: (args.type || 'web').toLowerCase()
+        };
+        
+        const { errors, gameOptions } = validateTestParams(params);
+        
+        if (errors) {
             await respond({
-                text: 'Missing URL',
-                blocks: buildErrorBlock('Please provide a URL with --url https://yourapp.com')
+                text: 'Invalid test options',
+                blocks: buildErrorBlock(Object.values(errors).join('\n'))
             });
             return;
         }
         
-        // Validate URL format
-        try {
-            new URL(args.url);
-        } catch {
-            await respond({
-                text: 'Invalid URL',
-                blocks: buildErrorBlock('Please provide a valid URL (e.g., https://myapp.com)')
+        // Mobile tests need an app file, collected in the modal
+        if (params.test_type === 'mobile') {
+            await openNewTestModal(command, respond, client, {
+                testType: 'mobile',
+                values: { duration: args.duration }
             });
             return;
         }
@@ -54,8 +110,22 @@ async function handleTestCommand(command, respond, client) {
         const userLink = await getUserLink(user_id, team_id);
         
         if (!userLink) {
-            const linkUrl = `${process.env.FRONTEND_URL}/integrations/slack/connect?user_id=${user_id}&team_id=${team_id}`;
-            await respond(buildAuthRequiredBlock(linkUrl));
+            await respond(buildAuthRequiredBlock());
+            return;
+        }
+        
+        const { error: policyError } = await checkTestPolicy({
+            client,
+            teamId: team_id,
+            userId: user_id,
+            channelId: channel_id,
+            duration: args.duration || '2h',
+            url: args.url,
+            testType: params.test_type
+        });
+        
+        if (policyError) {
+            await respond({ text: policyError });
             return;
         }
         
@@ -72,51 +142,760 @@ async function handleTestCommand(command, respond, client) {
         });
         
         // Submit test to Deffatest
-        const api = new DeffatestAPI(userLink.api_key);
-        const result = await api.submitWebTest({
+        const result = await submitTest({
+            userLink,
+            team_id,
+            user_id,
+            channel_id,
+            test_type: params.test_type,
             url: args.url,
-            duration: args.duration || '2h',
-            name: `Slack: ${args.url}`,
-            metadata: {
-                slack_team_id: team_id,
-                slack_user_id: user_id,
-                slack_channel_id: channel_id,
-                source: 'slack'
+            duration: args.duration,
+            name: args.name,
+            gameOptions
+        });
+        
+        // Post test details to the channel so progress can update them in place
+        const blocks = buildTestStartedBlock(result.test_id, args.url, args.duration || '2h', result.details);
+        const posted = await postTestStartedMessage(client, result.test_id, channel_id, blocks);
+        
+        if (posted) {
+            await respond({ delete_original: true });
+        } else {
+            await respond({
+                replace_original: true,
+                text: 'Test started!',
+                blocks
+            });
+        }
+        
+    } catch (error) {
+        logger.error('Test command error:', error.message);
+        await respond({
+            replace_original: true,
+            ...buildApiErrorBlock(error)
+        });
+    }
+}
+
+/**
+ * Open the new test modal
+ * @param {Object} options - { testType, values } used to prefill the modal
+ */
+async function openNewTestModal(command, respond, client, options) {
+    const { user_id, team_id, channel_id, trigger_id } = command;
+    
+    const userLink = await getUserLink(user_id, team_id);
+    
+    if (!userLink) {
+        await respond(buildAuthRequiredBlock());
+        return;
+    }
+    
+    // Channel and duration are chosen in the modal and checked on submit
+    const { error: policyError } = await checkTestPolicy({ client, teamId: team_id, userId: user_id });
+    
+    if (policyError) {
+        await respond({ text: policyError });
+        return;
+    }
+    
+    await client.views.open({
+        trigger_id,
+        view: buildNewTestModal({
+            privateMetadata: JSON.stringify({ channel_id }),
+            testType: options.testType,
+            channelId: channel_id,
+            values: options.values
+        })
+    });
+}
+
+/**
+ * Handle /deffatest whoami
+ */
+async function handleWhoAmI(command, respond) {
+    const { user_id, team_id } = command;
+    
+    try {
+        const userLink = await getUserLink(user_id, team_id);
+        
+        if (!userLink) {
+            await respond(buildAuthRequiredBlock());
+            return;
+        }
+        
+        const api = new DeffatestAPI(userLink.api_key);
+        const { valid } = await api.verifyApiKey();
+        
+        await respond(buildWhoAmIBlock(userLink, valid));
+        
+    } catch (error) {
+        logger.error('Whoami command error:', error.message);
+        await respond(buildApiErrorBlock(error));
+    }
+}
+
+/**
+ * Handle /deffatest unlink
+ */
+async function handleUnlink(command, respond, client) {
+    const { user_id, team_id } = command;
+    
+    try {
+        const unlinked = await unlinkUser(user_id, team_id);
+        
+        if (unlinked) {
+            await publishHomeView(client, team_id, user_id);
+        }
+        
+        await respond({
+            text: unlinked
+                ? '🔓 Your Deffatest account has been unlinked from Slack.'
+                : 'Your Slack account is not linked to a Deffatest account.'
+        });
+        
+    } catch (error) {
+        logger.error('Unlink command error:', error.message);
+        await respond({
+            text: 'Error',
+            blocks: buildErrorBlock('Could not unlink your account. Please try again.')
+        });
+    }
+}
+
+/**
+ * Handle /deffatest relink
+ * Opens the link modal; submitting it replaces the stored API key
+ */
+async function handleRelink(command, respond, client) {
+    const { trigger_id, channel_id } = command;
+    
+    try {
+        await client.views.open({
+            trigger_id,
+            view: buildLinkAccountModal(JSON.stringify({ channel_id }))
+        });
+        
+    } catch (error) {
+        logger.error('Relink command error:', error.message);
+        await respond(buildApiErrorBlock(error));
+    }
+}
+
+/**
+ * Handle /deffatest threads [on|off|default] [--workspace]
+ * Thread mode posts follow-ups for a test as replies to its "Test started" message
+ */
+async function handleThreads(command, respond, client) {
+    const { text, user_id, team_id, channel_id } = command;
+    
+    try {
+        const parts = text.trim().split(/\s+/).slice(1);
+        const setting = (parts.find(part => !part.startsWith('--')) || '').toLowerCase();
+        const workspaceWide = parts.includes('--workspace');
+        
+        // No setting: show the current configuration
+        if (!setting) {
+            const mode = await getThreadMode(team_id, channel_id);
+            const source = mode.channel === null ? 'workspace default' : 'set for this channel';
+            
+            await respond({
+                text: `🧵 Thread mode is *${mode.enabled ? 'on' : 'off'}* in this channel (${source}).\nUsage: \`/deffatest threads on|off|default [--workspace]\``
+            });
+            return;
+        }
+        
+        if (!['on', 'off', 'default'].includes(setting)) {
+            await respond({
+                text: 'Invalid setting',
+                blocks: buildErrorBlock('Usage: `/deffatest threads on|off|default [--workspace]`')
+            });
+            return;
+        }
+        
+        if (workspaceWide) {
+            if (setting === 'default') {
+                await respond({
+                    text: 'Invalid setting',
+                    blocks: buildErrorBlock('Use `on` or `off` for the workspace default.')
+                });
+                return;
+            }
+            
+            if (!await isWorkspaceAdmin(client, user_id)) {
+                await respond({
+                    text: 'Not allowed',
+                    blocks: buildErrorBlock('Only workspace admins can change the workspace default.')
+                });
+                return;
+            }
+            
+            await setWorkspaceThreadMode(team_id, setting === 'on');
+            await respond({ text: `🧵 Thread mode is now *${setting}* by default for this workspace.` });
+            return;
+        }
+        
+        await setChannelThreadMode(team_id, channel_id, setting === 'default' ? null : setting === 'on');
+        await respond({
+            text: setting === 'default'
+                ? '🧵 This channel now uses the workspace default for thread mode.'
+                : `🧵 Thread mode is now *${setting}* for this channel.`
+        });
+        
+    } catch (error) {
+        logger.error('Threads command error:', error.message);
+        await respond({
+            text: 'Error',
+            blocks: buildErrorBlock('Could not update thread mode. Please try again.')
+        });
+    }
+}
+
+/**
+ * Handle /deffatest cancel <test-id>
+ */
+async function handleCancel(command, respond, client) {
+    const { text, user_id, team_id } = command;
+    
+    try {
+        const testId = text.trim().split(/\s+/)[1];
+        
+        if (!testId) {
+            await respond({
+                text: 'Missing test ID',
+                blocks: buildErrorBlock('Usage: `/deffatest cancel <test-id>`')
+            });
+            return;
+        }
+        
+        const { error } = await cancelTestRun({ client, testId, userId: user_id, teamId: team_id });
+        
+        if (error) {
+            await respond({
+                text: 'Cannot cancel test',
+                blocks: buildErrorBlock(error)
+            });
+            return;
+        }
+        
+        await respond({ text: `🚫 Test \`${testId}\` has been cancelled.` });
+        
+    } catch (error) {
+        logger.error('Cancel command error:', error.message);
+        await respond(buildApiErrorBlock(error));
+    }
+}
+
+/**
+ * Handle /deffatest schedule --url <url> --cron "<expr>" [--duration 1h]
+ * Also: /deffatest schedule list, /deffatest schedule delete <id>
+ */
+async function handleSchedule(command, respond, client) {
+    const { text, user_id, team_id, channel_id } = command;
+    
+    try {
+        const parts = text.trim().split(/\s+/);
+        const action = (parts[1] || '').toLowerCase();
+        
+        if (action === 'list') {
+            const schedules = await getChannelSchedules(team_id, channel_id);
+            await respond({
+                text: 'Scheduled tests',
+                blocks: buildScheduleListBlock(schedules)
+            });
+            return;
+        }
+        
+        if (action === 'delete') {
+            const scheduleId = parseInt(parts[2]);
+            
+            if (!scheduleId) {
+                await respond({
+                    text: 'Missing schedule ID',
+                    blocks: buildErrorBlock('Usage: `/deffatest schedule delete <id>`')
+                });
+                return;
+            }
+            
+            const schedule = await getSchedule(team_id, scheduleId);
+            
+            if (!schedule) {
+                await respond({
+                    text: 'Schedule not found',
+                    blocks: buildErrorBlock(`Schedule #${scheduleId} was not found.`)
+                });
+                return;
+            }
+            
+            if (schedule.user_id !== user_id && !await isWorkspaceAdmin(client, user_id)) {
+                await respond({
+                    text: 'Not allowed',
+                    blocks: buildErrorBlock('Only the person who created this schedule or a workspace admin can delete it.')
+                });
+                return;
             }
+            
+            await deleteSchedule(team_id, scheduleId);
+            await respond({ text: `🗑️ Schedule #${scheduleId} has been deleted.` });
+            return;
+        }
+        
+        const args = parseArgs(text);
+        
+        if (!args.cron) {
+            await respond({
+                text: 'Missing schedule',
+                blocks: buildErrorBlock('Usage: `/deffatest schedule --url https://staging.myapp.com --cron "0 2 * * *" [--duration 1h]`\nAlso: `/deffatest schedule list`, `/deffatest schedule delete <id>`')
+            });
+            return;
+        }
+        
+        const { errors } = validateTestParams({ test_type: 'web', url: args.url, duration: args.duration });
+        
+        if (errors) {
+            await respond({
+                text: 'Invalid test options',
+                blocks: buildErrorBlock(Object.values(errors).join('\n'))
+            });
+            return;
+        }
+        
+        // Scheduled runs use the creator's key, so they must be linked now
+        const userLink = await getUserLink(user_id, team_id);
+        
+        if (!userLink) {
+            await respond(buildAuthRequiredBlock());
+            return;
+        }
+        
+        const { error: policyError } = await checkTestPolicy({
+            client,
+            teamId: team_id,
+            userId: user_id,
+            channelId: channel_id,
+            duration: args.duration || '2h',
+            url: args.url,
+            testType: 'web'
         });
         
-        const testId = result.test_id;
+        if (policyError) {
+            await respond({ text: policyError });
+            return;
+        }
+        
+        // Cron times are read in the creator's Slack timezone
+        const { user } = await client.users.info({ user: user_id });
+        const timezone = user?.tz || 'UTC';
+        
+        const cronError = validateCron(args.cron, timezone);
         
-        // Save test for notifications
-        await saveTest({
-            test_id: testId,
-            slack_team_id: team_id,
-            slack_user_id: user_id,
-            slack_channel_id: channel_id,
-            test_type: args.type || 'web',
+        if (cronError) {
+            await respond({
+                text: 'Invalid schedule',
+                blocks: buildErrorBlock(cronError)
+            });
+            return;
+        }
+        
+        const schedule = await createSchedule({
+            team_id,
+            channel_id,
+            user_id,
             url: args.url,
-            duration: args.duration || '2h'
+            duration: args.duration || '2h',
+            cron: args.cron,
+            timezone,
+            next_run_at: getNextRun(args.cron, timezone)
         });
         
-        // Update message with test details
+        const nextRun = Math.floor(new Date(schedule.next_run_at).getTime() / 1000);
+        
         await respond({
-            replace_original: true,
-            text: 'Test started!',
-            blocks: buildTestStartedBlock(testId, args.url, args.duration || '2h')
+            text: `🗓️ Schedule #${schedule.id} created: ${args.url} runs on \`${args.cron}\` (${timezone}) and posts results here.\nNext run: <!date^${nextRun}^{date_short_pretty} {time}|${new Date(schedule.next_run_at).toISOString()}>`
         });
         
-        logger.info(`Test submitted: ${testId} by ${user_id}`);
+    } catch (error) {
+        logger.error('Schedule command error:', error.message);
+        await respond(buildApiErrorBlock(error));
+    }
+}
+
+/**
+ * Handle /deffatest digest [daily|weekly|off]
+ * Digests are posted at DIGEST_TIME in the workspace timezone
+ */
+async function handleDigest(command, respond, client) {
+    const { text, user_id, team_id, channel_id } = command;
+    
+    try {
+        const setting = (text.trim().split(/\s+/)[1] || '').toLowerCase();
+        
+        // No setting: show the current configuration
+        if (!setting) {
+            const digest = await getChannelDigest(team_id, channel_id);
+            
+            await respond({
+                text: digest.frequency
+                    ? `📊 This channel gets a *${digest.frequency}* digest. ${formatNextDigest(digest.next_at)}\nUsage: \`/deffatest digest daily|weekly|off\``
+                    : '📊 Digests are *off* in this channel.\nUsage: `/deffatest digest daily|weekly|off`'
+            });
+            return;
+        }
+        
+        if (![...DIGEST_FREQUENCIES, 'off'].includes(setting)) {
+            await respond({
+                text: 'Invalid setting',
+                blocks: buildErrorBlock('Usage: `/deffatest digest daily|weekly|off`')
+            });
+            return;
+        }
+        
+        if (setting === 'off') {
+            await setChannelDigest(team_id, channel_id, null, null);
+            await respond({ text: '📊 Digests are now *off* for this channel.' });
+            return;
+        }
+        
+        // Workspaces installed before timezones were recorded adopt this user's
+        const { user } = await client.users.info({ user: user_id });
+        const timezone = await ensureWorkspaceTimezone(team_id, user?.tz || 'UTC');
+        const nextAt = getNextRun(getDigestCron(setting), timezone);
+        
+        await setChannelDigest(team_id, channel_id, setting, nextAt);
+        await respond({
+            text: `📊 This channel will get a *${setting}* digest ${setting === 'weekly' ? 'every Monday' : 'every day'} at ${DIGEST_TIME} (${timezone}). ${formatNextDigest(nextAt)}`
+        });
         
     } catch (error) {
-        logger.error('Test command error:', error.message);
+        logger.error('Digest command error:', error.message);
+        await respond({
+            text: 'Error',
+            blocks: buildErrorBlock('Could not update the digest setting. Please try again.')
+        });
+    }
+}
+
+/**
+ * Handle /deffatest usage [daily|monthly]
+ * Shows the current period's tests and minutes against the budgets, per user and channel
+ */
+async function handleUsage(command, respond) {
+    const { text, team_id } = command;
+    
+    try {
+        const period = (text.trim().split(/\s+/)[1] || 'daily').toLowerCase();
+        
+        if (!BUDGET_PERIODS.includes(period)) {
+            await respond({
+                text: 'Invalid period',
+                blocks: buildErrorBlock('Usage: `/deffatest usage daily|monthly`')
+            });
+            return;
+        }
+        
+        const [usage, budget] = await Promise.all([
+            getWorkspaceUsage(team_id),
+            getUsageBudget(team_id)
+        ]);
+        
+        await respond({
+            text: `Deffatest usage (${period})`,
+            blocks: buildUsageBlock(period, usage[period], budget)
+        });
+        
+    } catch (error) {
+        logger.error('Usage command error:', error.message);
         await respond({
-            replace_original: true,
             text: 'Error',
-            blocks: buildErrorBlock(error.message)
+            blocks: buildErrorBlock('Could not load usage. Please try again.')
+        });
+    }
+}
+
+/**
+ * Handle /deffatest admin <action> (workspace admins only)
+ * set-team-key opens a form for a shared Deffatest API key used by everyone who hasn't linked
+ * their own account; clear-team-key removes it; team-key shows whether one is set
+ */
+async function handleAdmin(command, respond, client) {
+    const { text, user_id, team_id, channel_id, trigger_id } = command;
+    
+    try {
+        const [action] = text.trim().split(/\s+/).slice(1);
+        
+        if (!await isWorkspaceAdmin(client, user_id)) {
+            await respond({
+                text: 'Not allowed',
+                blocks: buildErrorBlock('Only workspace admins can use `/deffatest admin`.')
+            });
+            return;
+        }
+        
+        if (action === 'policy') {
+            await handleAdminPolicy(command, respond);
+            return;
+        }
+        
+        if (action === 'domains') {
+            await handleAdminDomains(command, respond);
+            return;
+        }
+        
+        if (action === 'budget') {
+            await handleAdminBudget(command, respond);
+            return;
+        }
+        
+        if (action === 'team-key') {
+            const teamKey = await getWorkspaceTeamKey(team_id);
+            
+            await respond({
+                text: teamKey
+                    ? `🔑 A team key was set by <@${teamKey.set_by}>. Users who haven't linked their own account start tests with it.`
+                    : '🔑 No team key is set. Users must link their own Deffatest account.'
+            });
+            return;
+        }
+        
+        if (action === 'clear-team-key') {
+            await setWorkspaceTeamKey(team_id, null, user_id);
+            logger.info(`Team key cleared for ${team_id} by ${user_id}`);
+            
+            await respond({ text: '🔑 The team key has been removed. Users must link their own Deffatest account.' });
+            return;
+        }
+        
+        if (action !== 'set-team-key') {
+            await respond({
+                text: 'Invalid command',
+                blocks: buildErrorBlock('Usage: `/deffatest admin set-team-key`, `/deffatest admin clear-team-key`, `/deffatest admin team-key`, `/deffatest admin policy`, `/deffatest admin domains` or `/deffatest admin budget`')
+            });
+            return;
+        }
+        
+        // SECURITY: The key is entered in a modal, like personal keys, never as command text
+        await client.views.open({
+            trigger_id,
+            view: buildTeamKeyModal(JSON.stringify({ channel_id }))
         });
+        
+    } catch (error) {
+        logger.error('Admin command error:', error.message);
+        await respond(buildApiErrorBlock(error));
     }
 }
 
+/**
+ * Handle /deffatest admin policy [setting] (called by handleAdmin after the admin check)
+ * allow|disallow edit the allow-list, channels sets where tests may run,
+ * and max-duration caps test length per role
+ */
+async function handleAdminPolicy(command, respond) {
+    const { text, user_id, team_id } = command;
+    const [setting, ...values] = text.trim().split(/\s+/).slice(2);
+    
+    const policy = await getTestPolicy(team_id);
+    
+    if (!setting) {
+        await respond({ text: 'Test policy', blocks: buildPolicyBlock(policy) });
+        return;
+    }
+    
+    let error = null;
+    
+    if (setting === 'allow' || setting === 'disallow') {
+        const ids = values.map(value => parseMention(value, POLICY_USER_PATTERN));
+        
+        if (ids.length === 0 || ids.includes(null)) {
+            error = 'Pick users and user groups with @mentions, e.g. `/deffatest admin policy allow @jane @qa-team`';
+        } else if (setting === 'allow') {
+            policy.allowed_users = [...new Set([...policy.allowed_users, ...ids])];
+        } else {
+            policy.allowed_users = policy.allowed_users.filter(id => !ids.includes(id));
+        }
+    } else if (setting === 'channels') {
+        const ids = values.map(value => parseMention(value, POLICY_CHANNEL_PATTERN));
+        
+        if (values[0] === 'any' && values.length === 1) {
+            policy.allowed_channels = [];
+        } else if (ids.length === 0 || ids.includes(null)) {
+            error = 'Pick channels with #mentions, e.g. `/deffatest admin policy channels #qa #releases`, or use `any`';
+        } else {
+            policy.allowed_channels = [...new Set(ids)];
+        }
+    } else if (setting === 'max-duration') {
+        const [role, limit] = values;
+        
+        if (!['admin', 'member'].includes(role) || !/^(\d+(m|h)|none)$/.test(limit || '')) {
+            error = 'Usage: `/deffatest admin policy max-duration admin|member 6h|none`';
+        } else {
+            policy.max_duration[role] = limit === 'none' ? null : limit;
+        }
+    } else {
+        error = 'Usage: `/deffatest admin policy [allow|disallow|channels|max-duration] …`';
+    }
+    
+    if (error) {
+        await respond({
+            text: 'Invalid policy setting',
+            blocks: buildErrorBlock(error)
+        });
+        return;
+    }
+    
+    await saveTestPolicy(team_id, policy, user_id);
+    logger.info(`Test policy updated for ${team_id} by ${user_id}`);
+    
+    await respond({ text: 'Test policy updated', blocks: buildPolicyBlock(policy) });
+}
+
+/**
+ * Handle /deffatest admin domains [setting] (called by handleAdmin after the admin check)
+ * allow|disallow edit the domains tests may target, block|unblock edit hosts that are never tested
+ */
+async function handleAdminDomains(command, respond) {
+    const { text, user_id, team_id } = command;
+    const [setting, ...values] = text.trim().split(/\s+/).slice(2);
+    
+    const policy = await getTestPolicy(team_id);
+    
+    if (!setting) {
+        await respond({ text: 'Test targets', blocks: buildDomainPolicyBlock(policy) });
+        return;
+    }
+    
+    const list = { allow: 'allowed_domains', disallow: 'allowed_domains', block: 'blocked_hosts', unblock: 'blocked_hosts' }[setting];
+    const patterns = values.map(parseHostPattern);
+    
+    if (!list) {
+        await respond({
+            text: 'Invalid domains setting',
+            blocks: buildErrorBlock('Usage: `/deffatest admin domains [allow|disallow|block|unblock] <host> …`')
+        });
+        return;
+    }
+    
+    if (patterns.length === 0 || patterns.includes(null)) {
+        await respond({
+            text: 'Invalid domains setting',
+            blocks: buildErrorBlock(`Use host names, optionally starting with \`*.\` for subdomains, e.g. \`/deffatest admin domains ${setting} *.staging.example.com\``)
+        });
+        return;
+    }
+    
+    policy[list] = ['allow', 'block'].includes(setting)
+        ? [...new Set([...policy[list], ...patterns])]
+        : policy[list].filter(pattern => !patterns.includes(pattern));
+    
+    await saveTestPolicy(team_id, policy, user_id);
+    logger.info(`Test target domains updated for ${team_id} by ${user_id}`);
+    
+    await respond({ text: 'Test targets updated', blocks: buildDomainPolicyBlock(policy) });
+}
+
+/**
+ * Handle /deffatest admin budget [setting] (called by handleAdmin after the admin check)
+ * daily|monthly tests|minutes set a budget, channel sets where 80% and 100% warnings go
+ */
+async function handleAdminBudget(command, respond) {
+    const { text, user_id, team_id } = command;
+    const [setting, ...values] = text.trim().split(/\s+/).slice(2);
+    
+    const budget = await getUsageBudget(team_id);
+    
+    if (!setting) {
+        await respond({ text: 'Usage budgets', blocks: buildBudgetBlock(budget) });
+        return;
+    }
+    
+    let error = null;
+    
+    if (BUDGET_PERIODS.includes(setting)) {
+        const [metric, limit] = values;
+        const parsed = parseBudgetLimit(metric, limit);
+        
+        if (!BUDGET_METRICS.includes(metric) || !parsed) {
+            error = `Usage: \`/deffatest admin budget ${setting} tests 50|none\` or \`/deffatest admin budget ${setting} minutes 600|10h|none\``;
+        } else {
+            budget[setting][metric] = parsed.value;
+        }
+    } else if (setting === 'channel') {
+        const channelId = parseMention(values[0] || '', POLICY_CHANNEL_PATTERN);
+        
+        if (values.length !== 1 || (!channelId && values[0] !== 'none')) {
+            error = 'Pick a channel with a #mention, e.g. `/deffatest admin budget channel #qa-admins`, or use `none`';
+        } else {
+            budget.alert_channel_id = channelId;
+        }
+    } else {
+        error = 'Usage: `/deffatest admin budget [daily|monthly|channel] …`';
+    }
+    
+    if (error) {
+        await respond({
+            text: 'Invalid budget setting',
+            blocks: buildErrorBlock(error)
+        });
+        return;
+    }
+    
+    await saveUsageBudget(team_id, budget, user_id);
+    logger.info(`Usage budget updated for ${team_id} by ${user_id}`);
+    
+    await respond({ text: 'Usage budgets updated', blocks: buildBudgetBlock(budget) });
+}
+
+/**
+ * Parse a budget limit: a count, minutes as a count or duration (90m, 10h), or none
+ * Limits must be above zero; the test policy is the way to stop tests altogether
+ * @returns {Object|null} - { value } with null for no limit, or null if invalid
+ */
+function parseBudgetLimit(metric, limit) {
+    if (limit === 'none') return { value: null };
+    if (/^[1-9]\d*$/.test(limit || '')) return { value: parseInt(limit) };
+    if (metric === 'minutes' && /^[1-9]\d*(m|h)$/.test(limit || '')) return { value: DeffatestAPI.parseDuration(limit) };
+    
+    return null;
+}
+
+// Escaped user (<@U123|name>) or user group (<!subteam^S123|@name>) mention, or a raw ID
+const POLICY_USER_PATTERN = /^(?:<@([UW][A-Z0-9]+)(?:\|[^>]*)?>|<!subteam\^(S[A-Z0-9]+)(?:\|[^>]*)?>|([UWS][A-Z0-9]{6,}))$/;
+
+// Escaped channel mention (<#C123|name>) or a raw ID
+const POLICY_CHANNEL_PATTERN = /^(?:<#([CG][A-Z0-9]+)(?:\|[^>]*)?>|([CG][A-Z0-9]{6,}))$/;
+
+/**
+ * Read the Slack ID out of a mention
+ * @returns {string|null} - The ID, or null if the value doesn't match
+ */
+function parseMention(value, pattern) {
+    const match = value.match(pattern);
+    return match ? match.slice(1).find(Boolean) : null;
+}
+
+/**
+ * Format when the next digest goes out
+ */
+function formatNextDigest(nextAt) {
+    if (!nextAt) return '';
+    
+    const date = new Date(nextAt);
+    return `Next: <!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} {time}|${date.toISOString()}>`;
+}
+
+// Subcommands handled by /deffatest, keyed by the first word of the text
+const SUBCOMMANDS = {
+    whoami: handleWhoAmI,
+    unlink: handleUnlink,
+    relink: handleRelink,
+    threads: handleThreads,
+    cancel: handleCancel,
+    schedule: handleSchedule,
+    digest: handleDigest,
+    usage: handleUsage,
+    admin: handleAdmin
+};
+
 /**
  * Handle /deffatest-status command
  */
@@ -144,29 +923,114 @@ async function handleStatusCommand(command, respond, client) {
         const userLink = await getUserLink(user_id, team_id);
         
         if (!userLink) {
-            const linkUrl = `${process.env.FRONTEND_URL}/integrations/slack/connect?user_id=${user_id}&team_id=${team_id}`;
-            await respond(buildAuthRequiredBlock(linkUrl));
+            await respond(buildAuthRequiredBlock());
             return;
         }
         
         // Fetch status
         const api = new DeffatestAPI(userLink.api_key);
-        const status = await api.getTestStatus(testId);
+        const [status, watchers] = await Promise.all([
+            api.getTestStatus(testId),
+            getTestWatchers(testId, team_id)
+        ]);
         
         await respond({
             text: 'Test Status',
-            blocks: buildTestStatusBlock(status)
+            blocks: buildTestStatusBlock(status, watchers)
         });
         
     } catch (error) {
         logger.error('Status command error:', error.message);
-        await respond({
-            text: 'Error',
-            blocks: buildErrorBlock(error.message)
-        });
+        await respond(buildApiErrorBlock(error));
     }
 }
 
+const HISTORY_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * Handle /deffatest-history command
+ * Usage: /deffatest-history [--user @name] [--status failed] [--url staging] [--since 7d]
+ */
+async function handleHistoryCommand(command, respond) {
+    const { text, user_id, team_id, channel_id } = command;
+    
+    try {
+        const args = parseArgs(text);
+        const state = { page: 0 };
+        
+        if (args.user) {
+            // Escaped mention (<@U123|name>), raw user ID, or "me"
+            const mention = args.user.match(/^<@([A-Z0-9]+)(\|[^>]*)?>$/);
+            state.user = args.user === 'me' ? user_id : mention ? mention[1] : args.user;
+            
+            if (!/^[UW][A-Z0-9]+$/.test(state.user)) {
+                await respond({
+                    text: 'Invalid user',
+                    blocks: buildErrorBlock('Please pick the user with an @mention, e.g. `--user @jane`, or use `--user me`')
+                });
+                return;
+            }
+        }
+        
+        if (args.status) {
+            state.status = args.status.toLowerCase();
+            
+            if (!HISTORY_STATUSES.includes(state.status)) {
+                await respond({
+                    text: 'Invalid status',
+                    blocks: buildErrorBlock(`Unknown status "${args.status}". Use one of: ${HISTORY_STATUSES.join(', ')}`)
+                });
+                return;
+            }
+        }
+        
+        if (args.url) {
+            state.url = args.url.replace(/^<|>$/g, '').split('|')[0];
+        }
+        
+        if (args.since) {
+            const since = parseSince(args.since);
+            
+            if (!since) {
+                await respond({
+                    text: 'Invalid date',
+                    blocks: buildErrorBlock(`Invalid --since "${args.since}". Use e.g. 24h, 7d, 2w or 2024-01-31`)
+                });
+                return;
+            }
+            
+            // Resolved once so every page covers the same window
+            state.since = since.toISOString();
+        }
+        
+        await respond(await buildHistoryMessage(team_id, channel_id, state));
+        
+    } catch (error) {
+        logger.error('History command error:', error.message);
+        await respond(buildApiErrorBlock(error));
+    }
+}
+
+/**
+ * Parse --since value: relative (24h, 7d, 2w) or a date (2024-01-31)
+ * @returns {Date|null}
+ */
+function parseSince(value) {
+    const relative = value.match(/^(\d+)(h|d|w)$/);
+    
+    if (relative) {
+        const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2]] * parseInt(relative[1]);
+        return new Date(Date.now() - hours * 60 * 60 * 1000);
+    }
+    
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = new Date(`${value}T00:00:00Z`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    
+    return null;
+}
+
 /**
  * Parse command arguments
  * Handles: --url https://example.com --duration 2h --type web
@@ -176,6 +1040,9 @@ function parseArgs(text) {
     
     if (!text) return args;
     
+    // Slack clients may turn typed quotes into smart quotes
+    text = text.replace(/[\u201C\u201D]/g, '"');
+    
     // Match --key value or --key "quoted value"
     const regex = /--(\w+)\s+(?:"([^"]+)"|(\S+))/g;
     let match;
@@ -196,5 +1063,6 @@ function parseArgs(text) {
 
 module.exports = {
     handleTestCommand,
-    handleStatusCommand
+    handleStatusCommand,
+    handleHistoryCommand
 };
@@ -1,9 +1,20 @@
 /**
  * Event Handlers
- * Handles app mentions and direct messages
+ * Handles app mentions, direct messages, the Home tab and app lifecycle events
  */
 
-const { buildHelpBlock } = require('../utils/blocks');
+const { deactivateWorkspace, getUserLink } = require('../services/database');
+const { getPlatform, startMobileTest } = require('../services/mobile-tests');
+const { postTestStartedMessage } = require('../services/test-submission');
+const { publishHomeView } = require('../services/app-home');
+const { checkTestPolicy } = require('../services/permissions');
+const { 
+    buildHelpBlock, 
+    buildTestStartedBlock, 
+    buildAuthRequiredBlock, 
+    buildErrorBlock,
+    buildApiErrorBlock
+} = require('../utils/blocks');
 const logger = require('../utils/logger');
 
 /**
@@ -13,6 +24,17 @@ async function handleMention(event, client) {
     const { channel, user, text, team } = event;
     
     try {
+        // App binary attached to the mention: start a mobile test
+        // The download and upload outlast Slack's 3s event timeout, so they run after
+        // the event is acknowledged
+        const appFile = (event.files || []).find(file => getPlatform(file.name));
+        if (appFile) {
+            handleMobileFileMention(event, appFile, client).catch(error => {
+                logger.error('Mobile test from mention error:', error.message);
+            });
+            return;
+        }
+        
         // Extract the message after the mention
         const message = text.replace(/<@[A-Z0-9]+>/g, '').trim().toLowerCase();
         
@@ -45,6 +67,65 @@ async function handleMention(event, client) {
     }
 }
 
+/**
+ * Handle a mention with an APK/IPA attached
+ * Duration can be given in the message, e.g. "@deffatest test --duration 1h"
+ */
+async function handleMobileFileMention(event, appFile, client) {
+    const { channel, user, text, team } = event;
+    
+    try {
+        const userLink = await getUserLink(user, team);
+        
+        if (!userLink) {
+            await client.chat.postEphemeral({
+                channel,
+                user,
+                ...buildAuthRequiredBlock()
+            });
+            return;
+        }
+        
+        const durationMatch = (text || '').match(/--duration\s+(\d+[mh])\b/);
+        const duration = durationMatch ? durationMatch[1] : '2h';
+        
+        const { error: policyError } = await checkTestPolicy({ client, teamId: team, userId: user, channelId: channel, duration });
+        
+        if (policyError) {
+            await client.chat.postEphemeral({
+                channel,
+                user,
+                text: policyError
+            });
+            return;
+        }
+        
+        const result = await startMobileTest({
+            client,
+            fileId: appFile.id,
+            userLink,
+            teamId: team,
+            userId: user,
+            channelId: channel,
+            duration
+        });
+        
+        await postTestStartedMessage(client, result.test_id, channel, buildTestStartedBlock(result.test_id, null, duration, {
+            test_type: 'mobile',
+            app_name: result.app_name,
+            platform: result.platform
+        }));
+        
+    } catch (error) {
+        logger.error('Mobile test from mention error:', error.message);
+        await client.chat.postEphemeral({
+            channel,
+            user,
+            ...buildApiErrorBlock(error)
+        });
+    }
+}
+
 /**
  * Handle direct messages to the bot
  */
@@ -80,7 +161,48 @@ async function handleDirectMessage(event, client) {
     }
 }
 
+/**
+ * Handle Home tab opened
+ */
+async function handleAppHomeOpened(event, teamId, client) {
+    if (event.tab !== 'home') return;
+    
+    await publishHomeView(client, teamId, event.user);
+}
+
+/**
+ * Handle app uninstalled from a workspace
+ */
+async function handleAppUninstalled(teamId) {
+    try {
+        await deactivateWorkspace(teamId);
+        logger.info(`App uninstalled from workspace ${teamId}`);
+    } catch (error) {
+        logger.error('App uninstalled handler error:', error.message);
+    }
+}
+
+/**
+ * Handle revoked tokens
+ * Only bot tokens are stored, so revoked user tokens need no cleanup
+ */
+async function handleTokensRevoked(event, teamId) {
+    const botTokens = event.tokens?.bot || [];
+    
+    if (botTokens.length === 0) return;
+    
+    try {
+        await deactivateWorkspace(teamId);
+        logger.info(`Bot token revoked for workspace ${teamId}`);
+    } catch (error) {
+        logger.error('Tokens revoked handler error:', error.message);
+    }
+}
+
 module.exports = {
     handleMention,
-    handleDirectMessage
+    handleDirectMessage,
+    handleAppHomeOpened,
+    handleAppUninstalled,
+    handleTokensRevoked
 };
@@ -4,14 +4,36 @@
  */
 
 const DeffatestAPI = require('../services/deffatest-api');
-const { getUserLink } = require('../services/database');
-const { buildTestStatusBlock, buildErrorBlock } = require('../utils/blocks');
+const { 
+    getUserLink, 
+    linkUser, 
+    unlinkUser, 
+    setDmNotifications, 
+    getTestWatchers,
+    setWorkspaceTeamKey
+} = require('../services/database');
+const { validateMobileFile, startMobileTest } = require('../services/mobile-tests');
+const { validateTestParams, submitTest, postTestStartedMessage } = require('../services/test-submission');
+const { cancelTestRun, rerunTest, watchTest, unwatchTest } = require('../services/test-control');
+const { triageBug } = require('../services/bug-triage');
+const { isWorkspaceAdmin, checkTestPolicy } = require('../services/permissions');
+const { publishHomeView } = require('../services/app-home');
+const { buildHistoryMessage } = require('../services/test-history');
+const { 
+    buildTestStartedBlock, 
+    buildTestStatusBlock, 
+    buildAuthRequiredBlock, 
+    buildLinkAccountModal, 
+    buildNewTestModal, 
+    buildErrorBlock,
+    buildApiErrorBlock
+} = require('../utils/blocks');
 const logger = require('../utils/logger');
 
 /**
  * Handle button clicks
  */
-async function handleButtonClick(action, body, client) {
+async function handleButtonClick(action, body, client, respond) {
     const actionId = action.action_id;
     const userId = body.user.id;
     const teamId = body.team.id;
@@ -27,19 +49,143 @@ async function handleButtonClick(action, body, client) {
                 await client.chat.postEphemeral({
                     channel: channelId,
                     user: userId,
-                    text: 'Please link your Deffatest account first.'
+                    ...buildAuthRequiredBlock()
                 });
                 return;
             }
             
             const api = new DeffatestAPI(userLink.api_key);
-            const status = await api.getTestStatus(testId);
+            const [status, watchers] = await Promise.all([
+                api.getTestStatus(testId),
+                getTestWatchers(testId, teamId)
+            ]);
             
             await client.chat.postEphemeral({
                 channel: channelId,
                 user: userId,
                 text: 'Test Status',
-                blocks: buildTestStatusBlock(status)
+                blocks: buildTestStatusBlock(status, watchers)
+            });
+        }
+        
+        // Watch button: button_watch_<test-id>
+        else if (actionId.startsWith('button_watch_')) {
+            const { error, message } = await watchTest({ testId: action.value, userId, teamId });
+            
+            await client.chat.postEphemeral({
+                channel: channelId,
+                user: userId,
+                text: error || message
+            });
+        }
+        
+        // Unwatch button: button_unwatch_<test-id>
+        else if (actionId.startsWith('button_unwatch_')) {
+            const { message } = await unwatchTest({ testId: action.value, userId, teamId });
+            
+            await client.chat.postEphemeral({
+                channel: channelId,
+                user: userId,
+                text: message
+            });
+        }
+        
+        // Cancel button: button_cancel_<test-id>
+        else if (actionId.startsWith('button_cancel_')) {
+            const testId = action.value;
+            
+            const { error } = await cancelTestRun({ client, testId, userId, teamId });
+            
+            await client.chat.postEphemeral({
+                channel: channelId,
+                user: userId,
+                text: error || `🚫 Test \`${testId}\` has been cancelled.`
+            });
+        }
+        
+        // Re-run button: button_rerun_<test-id>
+        else if (actionId.startsWith('button_rerun_')) {
+            const testId = action.value;
+            
+            const result = await rerunTest({
+                client,
+                testId,
+                userId,
+                teamId,
+                channelId,
+                threadTs: body.message?.thread_ts || body.message?.ts
+            });
+            
+            if (result.authRequired) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    user: userId,
+                    ...buildAuthRequiredBlock()
+                });
+            } else if (result.error) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    user: userId,
+                    text: result.error
+                });
+            }
+        }
+        
+        // Bug alert triage: the actions block_id is <test-id>:<bug-id>
+        else if (actionId.startsWith('button_bug_')) {
+            const { error } = await triageBug({
+                client,
+                ...parseBugBlockId(action.block_id),
+                teamId,
+                userId,
+                channelId,
+                status: BUG_TRIAGE_STATUSES[actionId]
+            });
+            
+            if (error) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    user: userId,
+                    text: error
+                });
+            }
+        }
+        
+        // History paging: button_history_prev / button_history_next
+        else if (actionId.startsWith('button_history_')) {
+            const state = JSON.parse(action.value);
+            
+            await respond({
+                replace_original: true,
+                ...await buildHistoryMessage(teamId, channelId, state)
+            });
+        }
+        
+        // Home tab: open the new test modal
+        else if (actionId === 'button_home_new_test') {
+            await client.views.open({
+                trigger_id: body.trigger_id,
+                view: buildNewTestModal({ privateMetadata: JSON.stringify({}) })
+            });
+        }
+        
+        // Home tab: turn DM notifications on or off
+        else if (actionId === 'button_home_toggle_dm') {
+            await setDmNotifications(userId, teamId, action.value === 'on');
+            await publishHomeView(client, teamId, userId);
+        }
+        
+        // Home tab: unlink account
+        else if (actionId === 'button_home_unlink') {
+            await unlinkUser(userId, teamId);
+            await publishHomeView(client, teamId, userId);
+        }
+        
+        // Link account button: opens the API key modal
+        else if (actionId === 'button_link_account') {
+            await client.views.open({
+                trigger_id: body.trigger_id,
+                view: buildLinkAccountModal(JSON.stringify({ channel_id: channelId }))
             });
         }
         
@@ -61,7 +207,7 @@ async function handleButtonClick(action, body, client) {
             await client.chat.postEphemeral({
                 channel: channelId,
                 user: userId,
-                text: `Error: ${error.message}`
+                ...buildApiErrorBlock(error)
             });
         }
     }
@@ -71,16 +217,432 @@ async function handleButtonClick(action, body, client) {
  * Handle select menu changes
  */
 async function handleSelectMenu(action, body, client) {
-    // Placeholder for future select menu interactions
-    logger.debug('Select menu interaction:', action.action_id);
+    const actionId = action.action_id;
+    
+    try {
+        // Test type changed in the new test modal: re-render its fields
+        if (actionId === 'select_new_test_type' && body.view) {
+            const view = body.view;
+            const { channel_id: channelId } = JSON.parse(view.private_metadata || '{}');
+            const values = readNewTestValues(view.state.values);
+            
+            await client.views.update({
+                view_id: view.id,
+                hash: view.hash,
+                view: buildNewTestModal({
+                    privateMetadata: view.private_metadata,
+                    testType: action.selected_option.value,
+                    channelId: values.channel_id || channelId,
+                    values
+                })
+            });
+            return;
+        }
+        
+        // Bug alert: assign a bug; the actions block_id is <test-id>:<bug-id>
+        if (actionId === 'select_bug_assign') {
+            const userId = body.user.id;
+            const channelId = body.channel?.id;
+            
+            const { error } = await triageBug({
+                client,
+                ...parseBugBlockId(action.block_id),
+                teamId: body.team.id,
+                userId,
+                channelId,
+                assignee: action.selected_user
+            });
+            
+            if (error) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    user: userId,
+                    text: error
+                });
+            }
+            return;
+        }
+        
+        logger.debug('Select menu interaction:', actionId);
+        
+    } catch (error) {
+        logger.error('Select menu error:', error.message);
+    }
+}
+
+// Triage state set by each bug alert button
+const BUG_TRIAGE_STATUSES = {
+    button_bug_acknowledge: 'acknowledged',
+    button_bug_false_positive: 'false_positive',
+    button_bug_reopen: 'open'
+};
+
+/**
+ * Read the test and bug IDs from a bug alert's actions block_id
+ */
+function parseBugBlockId(blockId) {
+    const separator = blockId.indexOf(':');
+    
+    return {
+        testId: blockId.slice(0, separator),
+        bugId: blockId.slice(separator + 1)
+    };
 }
 
 /**
  * Handle modal/view submissions
+ * The view must be acknowledged here so validation errors can be shown inline
  */
-async function handleViewSubmission(body, view, client) {
-    // Placeholder for future modal submissions
-    logger.debug('View submission:', view.callback_id);
+async function handleViewSubmission(body, view, client, ack) {
+    const callbackId = view.callback_id;
+    
+    if (callbackId === 'modal_link_account') {
+        await handleLinkAccountSubmission(body, view, client, ack);
+        return;
+    }
+    
+    if (callbackId === 'modal_team_key') {
+        await handleTeamKeySubmission(body, view, client, ack);
+        return;
+    }
+    
+    if (callbackId === 'modal_new_test') {
+        await handleNewTestSubmission(body, view, client, ack);
+        return;
+    }
+    
+    await ack();
+    logger.debug('View submission:', callbackId);
+}
+
+// Slack drops a view submission that isn't answered within 3s, so the key check
+// must leave time for saving the key
+const KEY_VERIFY_TIMEOUT = 2000;
+
+/**
+ * Handle link account modal: verify the API key and store the link
+ */
+async function handleLinkAccountSubmission(body, view, client, ack) {
+    const userId = body.user.id;
+    const teamId = body.team?.id || body.user.team_id;
+    const apiKey = view.state.values.api_key_block?.api_key_input?.value?.trim();
+    
+    if (!apiKey) {
+        await ack({
+            response_action: 'errors',
+            errors: { api_key_block: 'Please enter your Deffatest API key' }
+        });
+        return;
+    }
+    
+    // SECURITY: Only store keys the Deffatest API accepts
+    const api = new DeffatestAPI(apiKey);
+    let valid, user;
+    
+    try {
+        ({ valid, user } = await api.verifyApiKey({ timeout: KEY_VERIFY_TIMEOUT }));
+    } catch (error) {
+        // Deffatest couldn't check the key; keep the modal open so it can be resubmitted
+        await ack({
+            response_action: 'errors',
+            errors: { api_key_block: 'Deffatest is not responding right now. Please try again in a few minutes.' }
+        });
+        return;
+    }
+    
+    if (!valid) {
+        await ack({
+            response_action: 'errors',
+            errors: { api_key_block: 'This API key is invalid or has been revoked' }
+        });
+        return;
+    }
+    
+    try {
+        await linkUser({
+            slack_team_id: teamId,
+            slack_user_id: userId,
+            deffatest_api_key: apiKey,
+            deffatest_email: user.email || null,
+            deffatest_user_id: user.id ? String(user.id) : null
+        });
+    } catch (error) {
+        await ack({
+            response_action: 'errors',
+            errors: { api_key_block: 'Could not save your account link. Please try again.' }
+        });
+        return;
+    }
+    
+    // Close the modal. Slack only gets the response once this listener returns,
+    // so the Home tab and confirmation are updated afterwards
+    await ack();
+    
+    publishHomeView(client, teamId, userId).catch(error => {
+        logger.error('Failed to refresh home view after linking:', error.message);
+    });
+    
+    sendModalConfirmation(client, view, userId, `✅ Your Deffatest account${user.email ? ` (${user.email})` : ''} is now linked.`).catch(error => {
+        logger.error('Failed to send link confirmation:', error.message);
+    });
+}
+
+/**
+ * Handle team key modal: verify the shared API key and store it for the workspace
+ */
+async function handleTeamKeySubmission(body, view, client, ack) {
+    const userId = body.user.id;
+    const teamId = body.team?.id || body.user.team_id;
+    const apiKey = view.state.values.team_key_block?.team_key_input?.value?.trim();
+    
+    if (!apiKey) {
+        await ack({
+            response_action: 'errors',
+            errors: { team_key_block: 'Please enter the team\'s Deffatest API key' }
+        });
+        return;
+    }
+    
+    // SECURITY: Checked again on submit; the modal is only opened for admins
+    if (!await isWorkspaceAdmin(client, userId)) {
+        await ack({
+            response_action: 'errors',
+            errors: { team_key_block: 'Only workspace admins can set the team key' }
+        });
+        return;
+    }
+    
+    // SECURITY: Only store keys the Deffatest API accepts
+    const api = new DeffatestAPI(apiKey);
+    let valid, user;
+    
+    try {
+        ({ valid, user } = await api.verifyApiKey({ timeout: KEY_VERIFY_TIMEOUT }));
+    } catch (error) {
+        await ack({
+            response_action: 'errors',
+            errors: { team_key_block: 'Deffatest is not responding right now. Please try again in a few minutes.' }
+        });
+        return;
+    }
+    
+    if (!valid) {
+        await ack({
+            response_action: 'errors',
+            errors: { team_key_block: 'This API key is invalid or has been revoked' }
+        });
+        return;
+    }
+    
+    try {
+        await setWorkspaceTeamKey(teamId, apiKey, userId);
+    } catch (error) {
+        await ack({
+            response_action: 'errors',
+            errors: { team_key_block: 'Could not save the team key. Please try again.' }
+        });
+        return;
+    }
+    
+    logger.info(`Team key set for ${teamId} by ${userId}`);
+    await ack();
+    
+    sendModalConfirmation(client, view, userId, `🔑 Team key set${user.email ? ` (${user.email})` : ''}. Users who haven't linked their own account now start tests with it, and each test records who started it.`).catch(error => {
+        logger.error('Failed to send team key confirmation:', error.message);
+    });
+}
+
+/**
+ * Confirm a submitted modal in the channel it was opened from, or by DM
+ */
+async function sendModalConfirmation(client, view, userId, message) {
+    try {
+        const { channel_id: channelId } = JSON.parse(view.private_metadata || '{}');
+        
+        if (channelId) {
+            await client.chat.postEphemeral({
+                channel: channelId,
+                user: userId,
+                text: message
+            });
+        } else {
+            await client.chat.postMessage({
+                channel: userId,
+                text: message
+            });
+        }
+    } catch (error) {
+        logger.error('Failed to send modal confirmation:', error.message);
+    }
+}
+
+/**
+ * Read the current values of the new test modal
+ */
+function readNewTestValues(stateValues) {
+    return {
+        test_type: stateValues.test_type_block?.select_new_test_type?.selected_option?.value || 'web',
+        url: stateValues.url_block?.url_input?.value?.trim(),
+        file: stateValues.app_file_block?.app_file_input?.files?.[0],
+        platform: stateValues.platform_block?.platform_input?.selected_option?.value,
+        session: stateValues.session_block?.session_input?.selected_option?.value,
+        input: stateValues.input_block?.input_input?.selected_option?.value,
+        duration: stateValues.duration_block?.duration_input?.selected_option?.value,
+        channel_id: stateValues.channel_block?.channel_input?.selected_conversation,
+        name: stateValues.name_block?.name_input?.value?.trim()
+    };
+}
+
+// Modal block holding each validated field
+const NEW_TEST_FIELD_BLOCKS = {
+    test_type: 'test_type_block',
+    url: 'url_block',
+    file: 'app_file_block',
+    platform: 'platform_block',
+    session: 'session_block',
+    input: 'input_block',
+    duration: 'duration_block',
+    channel: 'channel_block'
+};
+
+/**
+ * Handle new test modal: validate fields, then submit through the shared test path
+ */
+async function handleNewTestSubmission(body, view, client, ack) {
+    const userId = body.user.id;
+    const teamId = body.team?.id || body.user.team_id;
+    const values = readNewTestValues(view.state.values);
+    
+    const { errors = {}, gameOptions } = validateTestParams(values);
+    
+    if (values.test_type === 'mobile') {
+        const fileError = validateMobileFile(values.file);
+        if (fileError) {
+            errors.file = fileError;
+        }
+    }
+    
+    if (!values.channel_id) {
+        errors.channel = 'Please choose a channel for the results';
+    }
+    
+    if (Object.keys(errors).length > 0) {
+        const blockErrors = {};
+        for (const [field, message] of Object.entries(errors)) {
+            blockErrors[NEW_TEST_FIELD_BLOCKS[field]] = message;
+        }
+        
+        await ack({
+            response_action: 'errors',
+            errors: blockErrors
+        });
+        return;
+    }
+    
+    const userLink = await getUserLink(userId, teamId);
+    if (!userLink) {
+        await ack({
+            response_action: 'errors',
+            errors: { test_type_block: 'Please link your Deffatest account first' }
+        });
+        return;
+    }
+    
+    const channelId = values.channel_id;
+    const duration = values.duration || '2h';
+    
+    // Slack only gets the response once this listener returns, and the policy check,
+    // download and upload can take longer than its 3s limit: close the modal now and
+    // check and submit afterwards
+    await ack();
+    
+    submitNewTest({ client, values, gameOptions, userLink, teamId, userId, channelId, duration }).catch(error => {
+        logger.error('Failed to report new test submission:', error.message);
+    });
+}
+
+/**
+ * Check the policy and start the test from a submitted new test modal, after the modal has closed
+ * Policy denials and failures are sent to the user by DM
+ * @param {Object} params - { client, values, gameOptions, userLink, teamId, userId, channelId, duration }
+ */
+async function submitNewTest(params) {
+    const { client, values, gameOptions, userLink, teamId, userId, channelId, duration } = params;
+    
+    try {
+        const url = values.test_type === 'mobile' ? null : values.url;
+        const { error: policyError } = await checkTestPolicy({
+            client,
+            teamId,
+            userId,
+            channelId,
+            duration,
+            url,
+            testType: values.test_type
+        });
+        
+        if (policyError) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: policyError
+            });
+            return;
+        }
+        
+        let testId;
+        let details;
+        
+        if (values.test_type === 'mobile') {
+            const result = await startMobileTest({
+                client,
+                fileId: values.file.id,
+                userLink,
+                teamId,
+                userId,
+                channelId,
+                duration
+            });
+            
+            testId = result.test_id;
+            details = { test_type: 'mobile', app_name: result.app_name, platform: result.platform };
+        } else {
+            const result = await submitTest({
+                userLink,
+                team_id: teamId,
+                user_id: userId,
+                channel_id: channelId,
+                test_type: values.test_type,
+                url: values.url,
+                duration,
+                name: values.name,
+                gameOptions
+            });
+            
+            testId = result.test_id;
+            details = result.details;
+        }
+        
+        const blocks = buildTestStartedBlock(testId, values.url, duration, details);
+        const posted = await postTestStartedMessage(client, testId, channelId, blocks);
+        
+        // Bot can't post in the chosen channel: send the details by DM instead
+        if (!posted) {
+            await client.chat.postMessage({
+                channel: userId,
+                text: 'Test started!',
+                blocks
+            });
+        }
+        
+    } catch (error) {
+        logger.error('New test submission error:', error.message);
+        
+        // The modal is closed, so report the failure by DM
+        await client.chat.postMessage({
+            channel: userId,
+            ...buildApiErrorBlock(error)
+        });
+    }
 }
 
 module.exports = {
@@ -42,10 +42,12 @@ function initiateOAuth(req, res) {
         'chat:write.public',
         'commands',
         'users:read',
+        'usergroups:read',
         'channels:read',
         'groups:read',
         'im:write',
-        'app_mentions:read'
+        'app_mentions:read',
+        'files:read'
     ].join(',');
     
     // SECURITY: Generate random state for CSRF protection
@@ -111,7 +113,8 @@ async function handleCallback(req, res) {
             bot_token: data.access_token,
             bot_id: data.bot_user_id,
             bot_user_id: data.bot_user_id,
-            scope: data.scope
+            scope: data.scope,
+            timezone: await getUserTimezone(data.access_token, data.authed_user?.id)
         });
         
         logger.info(`Workspace installed: ${data.team.name} (${data.team.id})`);
@@ -125,6 +128,26 @@ async function handleCallback(req, res) {
     }
 }
 
+/**
+ * Look up the installing user's timezone, used as the workspace timezone for digests
+ * @returns {string|null} - IANA timezone, or null if it can't be read
+ */
+async function getUserTimezone(botToken, userId) {
+    if (!userId) return null;
+    
+    try {
+        const response = await axios.get('https://slack.com/api/users.info', {
+            params: { user: userId },
+            headers: { Authorization: `Bearer ${botToken}` }
+        });
+        
+        return response.data.ok ? response.data.user?.tz || null : null;
+    } catch (error) {
+        logger.warn('Could not read installer timezone:', error.message);
+        return null;
+    }
+}
+
 /**
  * Step 3: Success page after installation
  */
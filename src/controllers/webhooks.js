@@ -5,33 +5,89 @@
  * SECURITY: All webhooks are verified by middleware before reaching here
  */
 
-const { getTestInfo, updateTestStatus } = require('../services/database');
-const { buildTestCompletedBlock, buildBugAlertBlock } = require('../utils/blocks');
+const { 
+    getTestInfo, 
+    updateTestStatus, 
+    recordTestProgress,
+    getTestWatchers,
+    claimWebhookEvent,
+    releaseWebhookEvent,
+    purgeWebhookEvents,
+    setBugAlertTs
+} = require('../services/database');
+const { enqueueWebhook } = require('../services/webhook-queue');
+const { publishHomeView } = require('../services/app-home');
+const { compareWithPreviousRun } = require('../services/regressions');
+const { getAlertableBugs } = require('../services/bug-triage');
+const { 
+    buildTestCompletedBlock, 
+    buildTestProgressBlock, 
+    buildTestFailedBlock, 
+    buildBugAlertBlock 
+} = require('../utils/blocks');
 const logger = require('../utils/logger');
 
+// Minimum seconds between progress updates of one test's message (Slack rate limits)
+const PROGRESS_UPDATE_INTERVAL = parseInt(process.env.PROGRESS_UPDATE_INTERVAL_SECONDS) || 60;
+
+// How long delivered event IDs are remembered to drop retries
+const WEBHOOK_EVENT_TTL_HOURS = parseInt(process.env.WEBHOOK_EVENT_TTL_HOURS) || 72;
+
+// Clean up expired event IDs every hour
+setInterval(() => {
+    purgeWebhookEvents(WEBHOOK_EVENT_TTL_HOURS);
+}, 60 * 60 * 1000);
+
 /**
- * Main webhook handler
+ * Accept a webhook delivery and queue it for the notification worker
+ * Deliveries with an event_id already seen within the TTL are acknowledged without
+ * being queued again, so backend retries don't repeat notifications
+ * @returns {Object} - { duplicate } true if the delivery was a replay
  */
-async function handleWebhook(body, slackClient) {
-    const { event, data } = body;
+async function receiveWebhook(body) {
+    const { event, event_id: eventId } = body;
+    
+    logger.info(`Webhook received: ${event}${eventId ? ` (${eventId})` : ''}`);
     
-    logger.info(`Webhook received: ${event}`);
+    if (eventId && !await claimWebhookEvent(eventId, event, WEBHOOK_EVENT_TTL_HOURS)) {
+        logger.info(`Skipping duplicate webhook delivery ${eventId}`);
+        return { duplicate: true };
+    }
+    
+    try {
+        await enqueueWebhook(eventId, event, body);
+    } catch (error) {
+        // Let the sender's retry through
+        if (eventId) await releaseWebhookEvent(eventId);
+        throw error;
+    }
+    
+    return { duplicate: false };
+}
+
+/**
+ * Process a queued webhook (called by the webhook worker)
+ * Throwing schedules a retry, so notification failures are not swallowed
+ * @param {Object} job - Queued job with payload and step helpers
+ */
+async function handleWebhook(job, slackClient) {
+    const { event, data } = job.payload;
     
     switch (event) {
         case 'test.completed':
-            await handleTestCompleted(data, slackClient);
+            await handleTestCompleted(data, slackClient, job);
             break;
             
         case 'test.failed':
-            await handleTestFailed(data, slackClient);
+            await handleTestFailed(data, slackClient, job);
             break;
             
         case 'bugs.found':
-            await handleBugsFound(data, slackClient);
+            await handleBugsFound(data, slackClient, job);
             break;
             
         case 'test.progress':
-            // Optional: Update progress (usually not needed as too frequent)
+            await handleTestProgress(data, slackClient);
             break;
             
         default:
@@ -42,7 +98,7 @@ async function handleWebhook(body, slackClient) {
 /**
  * Handle test completion
  */
-async function handleTestCompleted(data, slackClient) {
+async function handleTestCompleted(data, slackClient, job) {
     const { test_id, bugs, report_url, duration } = data;
     
     // Get test info from database
@@ -53,8 +109,20 @@ async function handleTestCompleted(data, slackClient) {
         return;
     }
     
-    // Update test status in database
-    await updateTestStatus(test_id, 'completed', bugs);
+    // Update test status in database; a test that already has a verdict keeps it.
+    // Retries of this job skip the check, since the first attempt moved the status on
+    if (!job.isDone('status')) {
+        if (!await updateTestStatus(test_id, 'completed', bugs)) {
+            logger.info(`Ignoring test.completed for ${test_id}: already ${testInfo.status}`);
+            return;
+        }
+        
+        await job.markDone('status');
+    }
+    
+    if (!canNotify(testInfo)) return;
+    
+    const comparison = await compareWithPreviousRun(testInfo, bugs);
     
     // Build completion message
     const blocks = buildTestCompletedBlock({
@@ -62,37 +130,32 @@ async function handleTestCompleted(data, slackClient) {
         bugs: bugs || { critical: 0, high: 0, medium: 0, low: 0 },
         report_url: report_url || `https://deffatest.online/dashboard/test/${test_id}`,
         duration: duration || testInfo.duration,
-        url: testInfo.url
+        test_type: testInfo.test_type,
+        url: testInfo.url,
+        app_name: testInfo.app_name,
+        platform: testInfo.platform,
+        session_length: testInfo.session_length,
+        input_mode: testInfo.input_mode,
+        comparison
     });
     
-    try {
-        // Send to the channel where test was started
-        await slackClient.chat.postMessage({
-            token: testInfo.bot_token,
-            channel: testInfo.slack_channel_id,
-            text: 'Test completed!',
-            blocks
-        });
-        
-        // Also DM the user who started the test
-        await slackClient.chat.postMessage({
-            token: testInfo.bot_token,
-            channel: testInfo.slack_user_id,
-            text: 'Your Deffatest test has completed!',
-            blocks
-        });
-        
-        logger.info(`Completion notification sent for test ${test_id}`);
-        
-    } catch (error) {
-        logger.error('Failed to send completion notification:', error.message);
-    }
+    await job.step('channel', () => postVerdict(testInfo, 'Test completed!', blocks, {
+        status: 'completed',
+        progress: 100,
+        bugs
+    }, slackClient));
+    
+    await notifyWatchers(testInfo, 'A Deffatest test you are watching has completed!', blocks, slackClient, job);
+    
+    logger.info(`Completion notification sent for test ${test_id}`);
+    
+    await refreshHome(testInfo, slackClient);
 }
 
 /**
  * Handle test failure
  */
-async function handleTestFailed(data, slackClient) {
+async function handleTestFailed(data, slackClient, job) {
     const { test_id, error: errorMessage } = data;
     
     const testInfo = await getTestInfo(test_id);
@@ -102,47 +165,67 @@ async function handleTestFailed(data, slackClient) {
         return;
     }
     
-    // Update status
-    await updateTestStatus(test_id, 'failed', null);
+    // Update status; a test that already has a verdict keeps it
+    if (!job.isDone('status')) {
+        if (!await updateTestStatus(test_id, 'failed', null)) {
+            logger.info(`Ignoring test.failed for ${test_id}: already ${testInfo.status}`);
+            return;
+        }
+        
+        await job.markDone('status');
+    }
+    
+    if (!canNotify(testInfo)) return;
+    
+    const blocks = buildTestFailedBlock(test_id, errorMessage);
+    
+    await job.step('channel', () => postVerdict(testInfo, 'Test failed', blocks, {
+        status: 'failed',
+        progress: testInfo.progress,
+        bugs: testInfo.bugs
+    }, slackClient));
+    
+    await notifyWatchers(testInfo, 'A Deffatest test you are watching has failed', blocks, slackClient, job);
+    
+    await refreshHome(testInfo, slackClient);
+}
+
+/**
+ * Handle test progress
+ * Updates the "Test started" message in place, at most once per interval per test
+ */
+async function handleTestProgress(data, slackClient) {
+    const { test_id, progress, bugs } = data;
+    
+    const testInfo = await getTestInfo(test_id);
+    
+    if (!testInfo || !testInfo.message_ts || !canNotify(testInfo)) return;
+    
+    const shouldUpdate = await recordTestProgress(test_id, progress || 0, bugs, PROGRESS_UPDATE_INTERVAL);
+    
+    if (!shouldUpdate) return;
     
     try {
-        await slackClient.chat.postMessage({
+        await slackClient.chat.update({
             token: testInfo.bot_token,
             channel: testInfo.slack_channel_id,
-            text: 'Test failed',
-            blocks: [
-                {
-                    type: 'section',
-                    text: {
-                        type: 'mrkdwn',
-                        text: `❌ *Test Failed*\n\nTest ID: \`${test_id}\`\n\n${errorMessage || 'Unknown error occurred'}`
-                    }
-                },
-                {
-                    type: 'actions',
-                    elements: [
-                        {
-                            type: 'button',
-                            text: {
-                                type: 'plain_text',
-                                text: 'View Details'
-                            },
-                            url: `https://deffatest.online/dashboard/test/${test_id}`
-                        }
-                    ]
-                }
-            ]
+            ts: testInfo.message_ts,
+            text: `Test running: ${progress || 0}%`,
+            blocks: buildTestProgressBlock(testInfo, { progress, bugs })
         });
         
     } catch (error) {
-        logger.error('Failed to send failure notification:', error.message);
+        // Not retried: the next progress event supersedes this one
+        logger.error('Failed to update test progress:', error.message);
     }
+    
+    await refreshHome(testInfo, slackClient);
 }
 
 /**
  * Handle bugs found during test
  */
-async function handleBugsFound(data, slackClient) {
+async function handleBugsFound(data, slackClient, job) {
     const { test_id, critical, high } = data;
     
     // Only notify for critical or high severity bugs
@@ -150,21 +233,154 @@ async function handleBugsFound(data, slackClient) {
     
     const testInfo = await getTestInfo(test_id);
     
-    if (!testInfo) return;
+    if (!testInfo || !canNotify(testInfo)) return;
     
-    try {
-        await slackClient.chat.postMessage({
+    // Late alerts for finished tests are covered by the verdict's bug summary
+    if (testInfo.status !== 'running') {
+        logger.info(`Ignoring bugs.found for ${test_id}: already ${testInfo.status}`);
+        return;
+    }
+    
+    await job.step('alert', async () => {
+        // Bugs listed on an earlier alert are not repeated
+        const bugs = await getAlertableBugs(testInfo);
+        if (bugs && bugs.length === 0) {
+            logger.info(`Ignoring bugs.found for ${test_id}: all bugs already alerted`);
+            return;
+        }
+        
+        const result = await slackClient.chat.postMessage({
             token: testInfo.bot_token,
             channel: testInfo.slack_channel_id,
+            ...threadOptions(testInfo),
             text: `Bug alert for test ${test_id}`,
-            blocks: buildBugAlertBlock(test_id, critical || 0, high || 0)
+            blocks: buildBugAlertBlock(test_id, critical || 0, high || 0, bugs || [])
         });
         
+        if (!bugs) return;
+        
+        // Not rethrown: a retry would post the alert again
+        try {
+            await setBugAlertTs(test_id, bugs.map(bug => bug.bug_id), result.ts);
+        } catch (error) {
+            logger.error(`Bug alert for ${test_id} posted but its bugs can't be triaged:`, error.message);
+        }
+    });
+}
+
+/**
+ * Post a test's final verdict to its channel
+ * Thread mode: the root message shows the final state and the verdict is a thread
+ * reply, broadcast to the channel. Otherwise the root message becomes the verdict.
+ * @param {Object} finalState - { status, progress, bugs } for the root message
+ */
+async function postVerdict(testInfo, text, blocks, finalState, slackClient) {
+    if (!testInfo.thread_mode || !testInfo.message_ts) {
+        await postOrUpdateTestMessage(testInfo, text, blocks, slackClient);
+        return;
+    }
+    
+    try {
+        await slackClient.chat.update({
+            token: testInfo.bot_token,
+            channel: testInfo.slack_channel_id,
+            ts: testInfo.message_ts,
+            text,
+            blocks: buildTestProgressBlock(testInfo, finalState)
+        });
     } catch (error) {
-        logger.error('Failed to send bug alert:', error.message);
+        logger.warn(`Could not update root message for test ${testInfo.test_id}:`, error.message);
     }
+    
+    await slackClient.chat.postMessage({
+        token: testInfo.bot_token,
+        channel: testInfo.slack_channel_id,
+        ...threadOptions(testInfo),
+        reply_broadcast: true,
+        text,
+        blocks
+    });
+}
+
+/**
+ * DM a test's verdict to everyone watching it
+ * The initiator is skipped if they turned DMs off on the Home tab; anyone else
+ * watching asked for this test's DMs with the Watch button
+ */
+async function notifyWatchers(testInfo, text, blocks, slackClient, job) {
+    const watchers = await getTestWatchers(testInfo.test_id, testInfo.slack_team_id);
+    
+    for (const userId of watchers) {
+        if (userId === testInfo.slack_user_id && !testInfo.dm_notifications) continue;
+        
+        await job.step(`dm:${userId}`, () => slackClient.chat.postMessage({
+            token: testInfo.bot_token,
+            channel: userId,
+            text,
+            blocks
+        }));
+    }
+}
+
+/**
+ * Get chat.postMessage options that thread a follow-up under the test's root message
+ */
+function threadOptions(testInfo) {
+    // Re-runs started inside a thread keep their follow-ups there
+    if (testInfo.thread_ts) return { thread_ts: testInfo.thread_ts };
+    
+    if (!testInfo.thread_mode || !testInfo.message_ts) return {};
+    
+    return { thread_ts: testInfo.message_ts };
+}
+
+/**
+ * Update the test's "Test started" message, or post a new one if there is none
+ */
+async function postOrUpdateTestMessage(testInfo, text, blocks, slackClient) {
+    if (testInfo.message_ts) {
+        try {
+            await slackClient.chat.update({
+                token: testInfo.bot_token,
+                channel: testInfo.slack_channel_id,
+                ts: testInfo.message_ts,
+                text,
+                blocks
+            });
+            return;
+        } catch (error) {
+            // Message may have been deleted: fall back to a new message
+            logger.warn(`Could not update message for test ${testInfo.test_id}:`, error.message);
+        }
+    }
+    
+    await slackClient.chat.postMessage({
+        token: testInfo.bot_token,
+        channel: testInfo.slack_channel_id,
+        text,
+        blocks
+    });
+}
+
+/**
+ * Refresh the Home tab of the user who started the test
+ */
+async function refreshHome(testInfo, slackClient) {
+    await publishHomeView(slackClient, testInfo.slack_team_id, testInfo.slack_user_id, testInfo.bot_token);
+}
+
+/**
+ * Check whether the test's workspace can still receive notifications
+ * Uninstalled workspaces have no bot token, so skip them quietly
+ */
+function canNotify(testInfo) {
+    if (testInfo.workspace_active) return true;
+    
+    logger.info(`Skipping notification for test ${testInfo.test_id}: workspace ${testInfo.slack_team_id} is inactive`);
+    return false;
 }
 
 module.exports = {
+    receiveWebhook,
     handleWebhook
 };
@@ -0,0 +1,39 @@
+/**
+ * App Home Service
+ * Publishes each user's personal dashboard on the bot's Home tab
+ */
+
+const { getUserLink, getTestHistory } = require('./database');
+const { buildHomeView } = require('../utils/blocks');
+const logger = require('../utils/logger');
+
+const RECENT_TESTS_LIMIT = 10;
+
+/**
+ * Build and publish the Home tab for a user
+ * @param {string} [token] - Bot token, for callers using the shared client (webhooks)
+ */
+async function publishHomeView(client, teamId, userId, token) {
+    try {
+        const userLink = await getUserLink(userId, teamId);
+        
+        const [runningTests, recentTests] = userLink
+            ? await Promise.all([
+                getTestHistory({ teamId, userId, status: 'running', limit: RECENT_TESTS_LIMIT }),
+                getTestHistory({ teamId, userId, status: 'completed', limit: RECENT_TESTS_LIMIT })
+            ])
+            : [[], []];
+        
+        await client.views.publish({
+            ...(token && { token }),
+            user_id: userId,
+            view: buildHomeView({ userLink, runningTests, recentTests })
+        });
+    } catch (error) {
+        logger.error('Failed to publish home view:', error.message);
+    }
+}
+
+module.exports = {
+    publishHomeView
+};
@@ -0,0 +1,158 @@
+/**
+ * Usage Budget Service
+ * Daily and monthly limits on how many tests, and test minutes, a workspace starts from Slack
+ */
+
+const { WebClient } = require('@slack/web-api');
+const DeffatestAPI = require('./deffatest-api');
+const {
+    getUsageBudget,
+    getMonthlyUsageTests,
+    claimBudgetWarning,
+    getWorkspaceToken
+} = require('./database');
+const { BudgetExceededError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const BUDGET_METRICS = ['tests', 'minutes'];
+
+// Percent of a budget at which the admin channel is warned, highest first
+const WARNING_THRESHOLDS = [100, 80];
+
+// Token is passed per call, one workspace at a time
+const slackClient = new WebClient();
+
+/**
+ * Add up test count and minutes, in total and per user and channel
+ * Minutes are what Deffatest was asked for, so they use the same parser as submission
+ */
+function summarizeUsage(tests) {
+    const usage = { tests: 0, minutes: 0, users: {}, channels: {} };
+    
+    for (const test of tests) {
+        const minutes = DeffatestAPI.parseDuration(test.duration || '2h');
+        
+        usage.tests++;
+        usage.minutes += minutes;
+        
+        for (const [group, id] of [['users', test.slack_user_id], ['channels', test.slack_channel_id]]) {
+            usage[group][id] = usage[group][id] || { tests: 0, minutes: 0 };
+            usage[group][id].tests++;
+            usage[group][id].minutes += minutes;
+        }
+    }
+    
+    return usage;
+}
+
+/**
+ * Get a workspace's usage for the current day and month
+ * @returns {Object} - { periods, daily, monthly } where daily and monthly come from summarizeUsage
+ */
+async function getWorkspaceUsage(teamId) {
+    const { periods, tests } = await getMonthlyUsageTests(teamId);
+    const dayStart = new Date(periods.day_start);
+    
+    return {
+        periods,
+        daily: summarizeUsage(tests.filter(test => new Date(test.started_at) >= dayStart)),
+        monthly: summarizeUsage(tests)
+    };
+}
+
+/**
+ * Check that a new test fits in the workspace's budgets
+ * Best-effort: nothing is reserved until the test is saved after the Deffatest call,
+ * so tests started at the same time can each pass and together go over a limit
+ * @throws {BudgetExceededError} - If the test would go over a budget
+ */
+async function checkBudget(teamId, duration) {
+    const budget = await getUsageBudget(teamId);
+    
+    const limited = BUDGET_PERIODS.some(period => BUDGET_METRICS.some(metric => budget[period][metric] !== null));
+    if (!limited) return;
+    
+    const usage = await getWorkspaceUsage(teamId);
+    const added = { tests: 1, minutes: DeffatestAPI.parseDuration(duration || '2h') };
+    
+    for (const period of BUDGET_PERIODS) {
+        for (const metric of BUDGET_METRICS) {
+            const limit = budget[period][metric];
+            
+            if (limit !== null && usage[period][metric] + added[metric] > limit) {
+                throw new BudgetExceededError(
+                    `This test would go over the workspace's ${period} budget of ${limit} ${metric === 'tests' ? 'tests' : 'test minutes'} (${usage[period][metric]} used).`
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Warn the budget alert channel when a budget reaches 80% or 100%
+ * Called after a test is started; each threshold warns once per period.
+ * Failures are only logged, since the test itself already started
+ */
+async function warnOnBudgetUsage(teamId) {
+    try {
+        const budget = await getUsageBudget(teamId);
+        if (!budget.alert_channel_id) return;
+        
+        const usage = await getWorkspaceUsage(teamId);
+        const periodKeys = {
+            daily: `daily:${usage.periods.day_key}`,
+            monthly: `monthly:${usage.periods.month_key}`
+        };
+        
+        for (const period of BUDGET_PERIODS) {
+            for (const metric of BUDGET_METRICS) {
+                const limit = budget[period][metric];
+                if (limit === null) continue;
+                
+                const used = usage[period][metric];
+                const threshold = WARNING_THRESHOLDS.find(percent => used * 100 >= limit * percent);
+                
+                // Only the highest threshold reached is announced, and only once
+                if (!threshold || !await claimBudgetWarning(teamId, periodKeys[period], metric, threshold)) continue;
+                
+                await postBudgetWarning(teamId, budget.alert_channel_id, { period, metric, used, limit, threshold });
+            }
+        }
+    } catch (error) {
+        logger.error(`Failed to check budget warnings for ${teamId}:`, error.message);
+    }
+}
+
+/**
+ * Post one budget warning to the alert channel
+ */
+async function postBudgetWarning(teamId, channelId, warning) {
+    const { period, metric, used, limit, threshold } = warning;
+    
+    const workspace = await getWorkspaceToken(teamId);
+    if (!workspace) return;
+    
+    const unit = metric === 'tests' ? 'tests' : 'test minutes';
+    const reset = period === 'daily' ? 'tomorrow' : 'next month';
+    
+    const text = threshold >= 100
+        ? `🛑 *The ${period} Deffatest budget is used up:* ${used} of ${limit} ${unit}. New tests from Slack are blocked until ${reset}.`
+        : `⚠️ *${threshold}% of the ${period} Deffatest budget is used:* ${used} of ${limit} ${unit}.`;
+    
+    await slackClient.chat.postMessage({
+        token: workspace.bot_token,
+        channel: channelId,
+        text: `${text}\nSee \`/deffatest usage\` for who used it.`
+    });
+    
+    logger.info(`Budget warning posted for ${teamId}: ${period} ${metric} at ${threshold}%`);
+}
+
+module.exports = {
+    BUDGET_PERIODS,
+    BUDGET_METRICS,
+    getWorkspaceUsage,
+    checkBudget,
+    warnOnBudgetUsage
+};
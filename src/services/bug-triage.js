@@ -0,0 +1,126 @@
+/**
+ * Bug Triage Service
+ * Lists critical and high bugs on bug alerts and records their triage from Slack
+ */
+
+const DeffatestAPI = require('./deffatest-api');
+const {
+    getTestInfo,
+    getUserLink,
+    saveTestBugs,
+    getUnalertedBugs,
+    getAlertBugs,
+    updateBugTriage,
+    markBugSynced
+} = require('./database');
+const { buildBugAlertBlock } = require('../utils/blocks');
+const logger = require('../utils/logger');
+
+const ALERT_SEVERITIES = ['critical', 'high'];
+
+/**
+ * Fetch a test's critical and high bugs and record them for triage
+ * Uses the initiator's key since the test belongs to their Deffatest account
+ * @returns {Array|null} - Bugs no alert lists yet, or null if the bugs couldn't be fetched
+ */
+async function getAlertableBugs(testInfo) {
+    try {
+        const userLink = await getUserLink(testInfo.slack_user_id, testInfo.slack_team_id);
+        if (!userLink) return null;
+        
+        const api = new DeffatestAPI(userLink.api_key);
+        const bugs = (await api.getTestBugs(testInfo.test_id, ALERT_SEVERITIES))
+            .filter(bug => ALERT_SEVERITIES.includes(bug.severity));
+        
+        if (bugs.length === 0) return null;
+        
+        await saveTestBugs(testInfo.test_id, testInfo.slack_team_id, bugs);
+        return await getUnalertedBugs(testInfo.test_id);
+    } catch (error) {
+        // The alert still goes out with the counts only
+        logger.warn(`Could not load bugs for test ${testInfo.test_id}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Send a bug's triage state to Deffatest
+ * @returns {boolean} - False if it could not be sent; the bug stays marked unsynced
+ */
+async function syncBugTriage(bug, testInfo) {
+    try {
+        const [initiatorLink, triagerLink, assigneeLink] = await Promise.all([
+            getUserLink(testInfo.slack_user_id, bug.slack_team_id),
+            getUserLink(bug.triaged_by, bug.slack_team_id),
+            bug.assignee_slack_id ? getUserLink(bug.assignee_slack_id, bug.slack_team_id) : null
+        ]);
+        
+        const userLink = initiatorLink || triagerLink;
+        if (!userLink) {
+            logger.warn(`No linked account can sync triage of bug ${bug.bug_id}`);
+            return false;
+        }
+        
+        const api = new DeffatestAPI(userLink.api_key);
+        await api.updateBugTriage(bug.test_id, bug.bug_id, {
+            status: bug.triage_status,
+            assignee_email: assigneeLink?.email,
+            triaged_by_email: triagerLink?.email
+        });
+        
+        await markBugSynced(bug);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not sync triage of bug ${bug.bug_id}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Triage a bug from its bug alert and update the alert
+ * Unsynced bugs on the same alert are retried so earlier sync failures catch up
+ * @param {Object} params - { client, testId, bugId, teamId, userId, channelId, status, assignee }
+ * @returns {Object} - { error } with a user-facing reason, or {} on success
+ */
+async function triageBug(params) {
+    const { client, testId, bugId, teamId, userId, channelId, status, assignee } = params;
+    
+    const testInfo = await getTestInfo(testId);
+    
+    if (!testInfo || testInfo.slack_team_id !== teamId) {
+        return { error: `Test \`${testId}\` was not found.` };
+    }
+    
+    const bug = await updateBugTriage(testId, bugId, teamId, userId, {
+        triage_status: status,
+        assignee_slack_id: assignee
+    });
+    
+    if (!bug) {
+        return { error: 'This bug is no longer tracked. Open the test on the Deffatest dashboard to triage it.' };
+    }
+    
+    const bugs = await getAlertBugs(testId, bug.alert_ts);
+    
+    for (const alertBug of bugs.filter(alertBug => alertBug.triaged_by && !alertBug.synced)) {
+        alertBug.synced = await syncBugTriage(alertBug, testInfo);
+    }
+    
+    const critical = bugs.filter(alertBug => alertBug.severity === 'critical').length;
+    
+    await client.chat.update({
+        channel: channelId,
+        ts: bug.alert_ts,
+        text: `Bug alert for test ${testId}`,
+        blocks: buildBugAlertBlock(testId, critical, bugs.length - critical, bugs)
+    });
+    
+    logger.info(`Bug ${bugId} of test ${testId} triaged by ${userId}`);
+    
+    return {};
+}
+
+module.exports = {
+    getAlertableBugs,
+    triageBug
+};
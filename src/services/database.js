@@ -8,7 +8,7 @@
  */
 
 const { Pool } = require('pg');
-const { encrypt, decrypt } = require('../utils/crypto');
+const { encrypt, decrypt, getCurrentKeyId } = require('../utils/crypto');
 const logger = require('../utils/logger');
 
 // Connection pool
@@ -40,7 +40,8 @@ async function saveWorkspace(workspaceData) {
         bot_token,
         bot_id,
         bot_user_id,
-        scope
+        scope,
+        timezone
     } = workspaceData;
     
     // SECURITY: Encrypt the bot token
@@ -48,8 +49,8 @@ async function saveWorkspace(workspaceData) {
     
     const query = `
         INSERT INTO slack_workspaces (
-            team_id, team_name, bot_token_encrypted, bot_id, bot_user_id, scope
-        ) VALUES ($1, $2, $3, $4, $5, $6)
+            team_id, team_name, bot_token_encrypted, bot_id, bot_user_id, scope, timezone
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
         ON CONFLICT (team_id) 
         DO UPDATE SET
             team_name = EXCLUDED.team_name,
@@ -57,6 +58,7 @@ async function saveWorkspace(workspaceData) {
             bot_id = EXCLUDED.bot_id,
             bot_user_id = EXCLUDED.bot_user_id,
             scope = EXCLUDED.scope,
+            timezone = COALESCE(EXCLUDED.timezone, slack_workspaces.timezone),
             updated_at = CURRENT_TIMESTAMP,
             is_active = TRUE
         RETURNING id, team_id, team_name
@@ -64,7 +66,7 @@ async function saveWorkspace(workspaceData) {
     
     try {
         const result = await pool.query(query, [
-            team_id, team_name, encryptedToken, bot_id, bot_user_id, scope
+            team_id, team_name, encryptedToken, bot_id, bot_user_id, scope, timezone || null
         ]);
         logger.info(`Workspace saved: ${team_name}`);
         return result.rows[0];
@@ -107,67 +109,88 @@ async function getWorkspaceToken(teamId) {
     }
 }
 
-// ============================================================================
-// USER LINK FUNCTIONS
-// ============================================================================
-
 /**
- * Link Slack user to Deffatest account
- * SECURITY: API key is encrypted before storage
+ * Deactivate workspace after uninstall or token revocation
+ * SECURITY: Wipes the stored bot token and team key, and deactivates the team's user links and schedules
  */
-async function linkUser(linkData) {
-    const {
-        slack_team_id,
-        slack_user_id,
-        deffatest_api_key,
-        deffatest_email,
-        deffatest_user_id
-    } = linkData;
-    
-    // SECURITY: Encrypt the API key
-    const encryptedApiKey = encrypt(deffatest_api_key);
+async function deactivateWorkspace(teamId) {
+    const client = await pool.connect();
     
+    try {
+        await client.query('BEGIN');
+        
+        await client.query(`
+            UPDATE slack_workspaces SET
+                is_active = FALSE,
+                bot_token_encrypted = NULL,
+                team_api_key_encrypted = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE team_id = $1
+        `, [teamId]);
+        
+        await client.query(`
+            UPDATE user_links SET
+                is_active = FALSE,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE slack_team_id = $1 AND is_active = TRUE
+        `, [teamId]);
+        
+        await client.query(`
+            UPDATE test_schedules SET
+                is_active = FALSE,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE team_id = $1 AND is_active = TRUE
+        `, [teamId]);
+        
+        await client.query('COMMIT');
+        logger.info(`Workspace deactivated: ${teamId}`);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Failed to deactivate workspace:', error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Set or clear the workspace's shared Deffatest API key
+ * SECURITY: The key is encrypted before storage
+ * @param {string|null} apiKey - NULL removes the team key
+ */
+async function setWorkspaceTeamKey(teamId, apiKey, userId) {
     const query = `
-        INSERT INTO user_links (
-            slack_team_id, slack_user_id, api_key_encrypted, 
-            deffatest_email, deffatest_user_id
-        ) VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (slack_team_id, slack_user_id)
-        DO UPDATE SET
-            api_key_encrypted = EXCLUDED.api_key_encrypted,
-            deffatest_email = EXCLUDED.deffatest_email,
-            deffatest_user_id = EXCLUDED.deffatest_user_id,
-            updated_at = CURRENT_TIMESTAMP,
-            is_active = TRUE
-        RETURNING id
+        UPDATE slack_workspaces SET
+            team_api_key_encrypted = $2,
+            team_key_set_by = $3,
+            team_key_set_at = CASE WHEN $2::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE team_id = $1 AND is_active = TRUE
     `;
     
     try {
-        const result = await pool.query(query, [
-            slack_team_id, slack_user_id, encryptedApiKey,
-            deffatest_email, deffatest_user_id
-        ]);
-        logger.info(`User linked: ${slack_user_id}`);
-        return result.rows[0];
+        const result = await pool.query(query, [teamId, encrypt(apiKey), apiKey ? userId : null]);
+        return result.rowCount > 0;
     } catch (error) {
-        logger.error('Failed to link user:', error.message);
+        logger.error('Failed to set workspace team key:', error.message);
         throw error;
     }
 }
 
 /**
- * Get user's Deffatest API key
- * SECURITY: Decrypts API key only when needed
+ * Get the workspace's shared Deffatest API key
+ * SECURITY: Decrypts the key only when needed
+ * @returns {Object|null} - { api_key, set_by, set_at } or null if none is set
  */
-async function getUserLink(slackUserId, slackTeamId) {
+async function getWorkspaceTeamKey(teamId) {
     const query = `
-        SELECT slack_user_id, api_key_encrypted, deffatest_email, deffatest_user_id
-        FROM user_links 
-        WHERE slack_user_id = $1 AND slack_team_id = $2 AND is_active = TRUE
+        SELECT team_api_key_encrypted, team_key_set_by, team_key_set_at
+        FROM slack_workspaces
+        WHERE team_id = $1 AND is_active = TRUE AND team_api_key_encrypted IS NOT NULL
     `;
     
     try {
-        const result = await pool.query(query, [slackUserId, slackTeamId]);
+        const result = await pool.query(query, [teamId]);
         
         if (result.rows.length === 0) {
             return null;
@@ -175,183 +198,1896 @@ async function getUserLink(slackUserId, slackTeamId) {
         
         const row = result.rows[0];
         
-        // SECURITY: Decrypt API key for use
         return {
-            slack_user_id: row.slack_user_id,
-            api_key: decrypt(row.api_key_encrypted),
-            email: row.deffatest_email,
-            user_id: row.deffatest_user_id
+            api_key: decrypt(row.team_api_key_encrypted),
+            set_by: row.team_key_set_by,
+            set_at: row.team_key_set_at
         };
     } catch (error) {
-        logger.error('Failed to get user link:', error.message);
+        logger.error('Failed to get workspace team key:', error.message);
         return null;
     }
 }
 
 // ============================================================================
-// TEST TRACKING FUNCTIONS
+// POLICY FUNCTIONS
 // ============================================================================
 
 /**
- * Save test submission for notifications
+ * Get a workspace's test policy
+ * Workspaces without one get the unrestricted default
+ * @returns {Object} - { allowed_users, allowed_channels, max_duration: { admin, member },
+ *                     allowed_domains, blocked_hosts }
  */
-async function saveTest(testData) {
-    const {
-        test_id,
-        slack_team_id,
-        slack_user_id,
-        slack_channel_id,
-        test_type,
-        url,
-        duration
-    } = testData;
+async function getTestPolicy(teamId) {
+    const query = `
+        SELECT allowed_users, allowed_channels, max_duration_admin, max_duration_member,
+               allowed_domains, blocked_hosts
+        FROM test_policies
+        WHERE team_id = $1
+    `;
     
+    try {
+        const result = await pool.query(query, [teamId]);
+        const row = result.rows[0] || {};
+        
+        return {
+            allowed_users: row.allowed_users || [],
+            allowed_channels: row.allowed_channels || [],
+            max_duration: {
+                admin: row.max_duration_admin || null,
+                member: row.max_duration_member || null
+            },
+            allowed_domains: row.allowed_domains || [],
+            blocked_hosts: row.blocked_hosts || []
+        };
+    } catch (error) {
+        logger.error('Failed to get test policy:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Save a workspace's test policy
+ * @param {Object} policy - Same shape as getTestPolicy returns
+ */
+async function saveTestPolicy(teamId, policy, userId) {
     const query = `
-        INSERT INTO slack_tests (
-            test_id, slack_team_id, slack_user_id, slack_channel_id,
-            test_type, url, duration
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        ON CONFLICT (test_id) DO NOTHING
-        RETURNING id
+        INSERT INTO test_policies (
+            team_id, allowed_users, allowed_channels, max_duration_admin, max_duration_member,
+            allowed_domains, blocked_hosts, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (team_id)
+        DO UPDATE SET
+            allowed_users = EXCLUDED.allowed_users,
+            allowed_channels = EXCLUDED.allowed_channels,
+            max_duration_admin = EXCLUDED.max_duration_admin,
+            max_duration_member = EXCLUDED.max_duration_member,
+            allowed_domains = EXCLUDED.allowed_domains,
+            blocked_hosts = EXCLUDED.blocked_hosts,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
     `;
     
     try {
-        const result = await pool.query(query, [
-            test_id, slack_team_id, slack_user_id, slack_channel_id,
-            test_type, url, duration
+        await pool.query(query, [
+            teamId,
+            policy.allowed_users,
+            policy.allowed_channels,
+            policy.max_duration.admin,
+            policy.max_duration.member,
+            policy.allowed_domains,
+            policy.blocked_hosts,
+            userId
         ]);
-        return result.rows[0];
     } catch (error) {
-        logger.error('Failed to save test:', error.message);
+        logger.error('Failed to save test policy:', error.message);
         throw error;
     }
 }
 
+// ============================================================================
+// USAGE BUDGET FUNCTIONS
+// ============================================================================
+
 /**
- * Get test info for sending notifications
+ * Get a workspace's usage budgets
+ * @returns {Object} - { daily: { tests, minutes }, monthly: { tests, minutes }, alert_channel_id }
+ *                     with NULL for budgets that aren't set
  */
-async function getTestInfo(testId) {
+async function getUsageBudget(teamId) {
     const query = `
-        SELECT t.*, w.bot_token_encrypted
-        FROM slack_tests t
-        JOIN slack_workspaces w ON t.slack_team_id = w.team_id
-        WHERE t.test_id = $1
+        SELECT daily_tests, daily_minutes, monthly_tests, monthly_minutes, alert_channel_id
+        FROM usage_budgets
+        WHERE team_id = $1
     `;
     
     try {
-        const result = await pool.query(query, [testId]);
-        
-        if (result.rows.length === 0) {
-            return null;
-        }
-        
-        const row = result.rows[0];
+        const result = await pool.query(query, [teamId]);
+        const row = result.rows[0] || {};
         
         return {
-            test_id: row.test_id,
-            slack_team_id: row.slack_team_id,
-            slack_user_id: row.slack_user_id,
-            slack_channel_id: row.slack_channel_id,
-            test_type: row.test_type,
-            url: row.url,
-            duration: row.duration,
-            bot_token: decrypt(row.bot_token_encrypted)
+            daily: { tests: row.daily_tests ?? null, minutes: row.daily_minutes ?? null },
+            monthly: { tests: row.monthly_tests ?? null, minutes: row.monthly_minutes ?? null },
+            alert_channel_id: row.alert_channel_id || null
         };
     } catch (error) {
-        logger.error('Failed to get test info:', error.message);
-        return null;
+        logger.error('Failed to get usage budget:', error.message);
+        throw error;
     }
 }
 
 /**
- * Update test status
+ * Save a workspace's usage budgets
+ * @param {Object} budget - Same shape as getUsageBudget returns
  */
-async function updateTestStatus(testId, status, bugs) {
+async function saveUsageBudget(teamId, budget, userId) {
     const query = `
-        UPDATE slack_tests SET
-            status = $1,
-            bugs_critical = $2,
-            bugs_high = $3,
-            bugs_medium = $4,
-            bugs_low = $5,
-            completed_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE NULL END
-        WHERE test_id = $6
+        INSERT INTO usage_budgets (
+            team_id, daily_tests, daily_minutes, monthly_tests, monthly_minutes, alert_channel_id, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (team_id)
+        DO UPDATE SET
+            daily_tests = EXCLUDED.daily_tests,
+            daily_minutes = EXCLUDED.daily_minutes,
+            monthly_tests = EXCLUDED.monthly_tests,
+            monthly_minutes = EXCLUDED.monthly_minutes,
+            alert_channel_id = EXCLUDED.alert_channel_id,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
     `;
     
     try {
         await pool.query(query, [
-            status,
-            bugs?.critical || 0,
-            bugs?.high || 0,
-            bugs?.medium || 0,
-            bugs?.low || 0,
-            testId
+            teamId,
+            budget.daily.tests,
+            budget.daily.minutes,
+            budget.monthly.tests,
+            budget.monthly.minutes,
+            budget.alert_channel_id,
+            userId
         ]);
     } catch (error) {
-        logger.error('Failed to update test status:', error.message);
+        logger.error('Failed to save usage budget:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the tests a workspace started this month, with the current periods
+ * Days and months follow the workspace timezone
+ * @returns {Object} - { periods: { day_start, month_start, day_key, month_key }, tests }
+ */
+async function getMonthlyUsageTests(teamId) {
+    const periodsQuery = `
+        SELECT
+            date_trunc('day', now() AT TIME ZONE tz) AT TIME ZONE tz AS day_start,
+            date_trunc('month', now() AT TIME ZONE tz) AT TIME ZONE tz AS month_start,
+            to_char(now() AT TIME ZONE tz, 'YYYY-MM-DD') AS day_key,
+            to_char(now() AT TIME ZONE tz, 'YYYY-MM') AS month_key
+        FROM (
+            SELECT COALESCE((SELECT timezone FROM slack_workspaces WHERE team_id = $1), 'UTC') AS tz
+        ) workspace
+    `;
+    
+    const testsQuery = `
+        SELECT slack_user_id, slack_channel_id, duration, started_at
+        FROM slack_tests
+        WHERE slack_team_id = $1 AND started_at >= $2
+    `;
+    
+    try {
+        const periods = (await pool.query(periodsQuery, [teamId])).rows[0];
+        const tests = (await pool.query(testsQuery, [teamId, periods.month_start])).rows;
+        
+        return { periods, tests };
+    } catch (error) {
+        logger.error('Failed to get usage tests:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Record that a budget warning is being posted
+ * @returns {boolean} - False if this warning was already posted for the period
+ */
+async function claimBudgetWarning(teamId, periodKey, metric, threshold) {
+    const query = `
+        INSERT INTO budget_warnings (team_id, period_key, metric, threshold)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT DO NOTHING
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, periodKey, metric, threshold]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to claim budget warning:', error.message);
+        throw error;
     }
 }
 
 // ============================================================================
-// INITIALIZE DATABASE
+// CHANNEL SETTINGS FUNCTIONS
 // ============================================================================
 
 /**
- * Create tables if they don't exist
+ * Set workspace default for threaded notifications
  */
-async function initializeDatabase() {
-    const createTablesQuery = `
-        -- Workspaces table
-        CREATE TABLE IF NOT EXISTS slack_workspaces (
-            id SERIAL PRIMARY KEY,
-            team_id VARCHAR(255) UNIQUE NOT NULL,
-            team_name VARCHAR(255) NOT NULL,
-            bot_token_encrypted TEXT NOT NULL,
-            bot_id VARCHAR(255),
-            bot_user_id VARCHAR(255),
-            scope TEXT,
-            installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            is_active BOOLEAN DEFAULT TRUE
-        );
-        
-        -- User links table
-        CREATE TABLE IF NOT EXISTS user_links (
-            id SERIAL PRIMARY KEY,
-            slack_team_id VARCHAR(255) NOT NULL,
-            slack_user_id VARCHAR(255) NOT NULL,
-            api_key_encrypted TEXT NOT NULL,
-            deffatest_email VARCHAR(255),
-            deffatest_user_id VARCHAR(255),
-            linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            is_active BOOLEAN DEFAULT TRUE,
-            UNIQUE(slack_team_id, slack_user_id)
-        );
+async function setWorkspaceThreadMode(teamId, enabled) {
+    const query = `
+        UPDATE slack_workspaces SET
+            thread_mode = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE team_id = $2
+    `;
+    
+    try {
+        await pool.query(query, [enabled, teamId]);
+    } catch (error) {
+        logger.error('Failed to set workspace thread mode:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Set channel override for threaded notifications
+ * @param {boolean|null} enabled - NULL falls back to the workspace default
+ */
+async function setChannelThreadMode(teamId, channelId, enabled) {
+    const query = `
+        INSERT INTO slack_channel_settings (team_id, channel_id, thread_mode)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (team_id, channel_id)
+        DO UPDATE SET
+            thread_mode = EXCLUDED.thread_mode,
+            updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    try {
+        await pool.query(query, [teamId, channelId, enabled]);
+    } catch (error) {
+        logger.error('Failed to set channel thread mode:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get thread mode settings for a channel
+ * @returns {Object} - { channel, workspace, enabled } where channel is NULL when not overridden
+ */
+async function getThreadMode(teamId, channelId) {
+    const query = `
+        SELECT w.thread_mode AS workspace_thread_mode, c.thread_mode AS channel_thread_mode
+        FROM slack_workspaces w
+        LEFT JOIN slack_channel_settings c
+            ON c.team_id = w.team_id AND c.channel_id = $2
+        WHERE w.team_id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, channelId]);
+        const row = result.rows[0] || {};
+        const workspace = row.workspace_thread_mode === true;
+        const channel = row.channel_thread_mode ?? null;
         
-        -- Tests table (for tracking notifications)
-        CREATE TABLE IF NOT EXISTS slack_tests (
-            id SERIAL PRIMARY KEY,
-            test_id VARCHAR(255) UNIQUE NOT NULL,
-            slack_team_id VARCHAR(255) NOT NULL,
-            slack_user_id VARCHAR(255) NOT NULL,
-            slack_channel_id VARCHAR(255) NOT NULL,
-            test_type VARCHAR(50),
-            url TEXT,
-            duration VARCHAR(50),
-            status VARCHAR(50) DEFAULT 'running',
-            bugs_critical INTEGER DEFAULT 0,
-            bugs_high INTEGER DEFAULT 0,
-            bugs_medium INTEGER DEFAULT 0,
-            bugs_low INTEGER DEFAULT 0,
-            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            completed_at TIMESTAMP
+        return {
+            channel,
+            workspace,
+            enabled: channel ?? workspace
+        };
+    } catch (error) {
+        logger.error('Failed to get thread mode:', error.message);
+        throw error;
+    }
+}
+
+// ============================================================================
+// DIGEST FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the workspace timezone, saving the fallback if none is stored yet
+ * Installs from before timezones were recorded pick one up on first use
+ */
+async function ensureWorkspaceTimezone(teamId, fallback) {
+    const query = `
+        UPDATE slack_workspaces SET
+            timezone = COALESCE(timezone, $2)
+        WHERE team_id = $1
+        RETURNING timezone
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, fallback]);
+        return result.rows[0]?.timezone || fallback;
+    } catch (error) {
+        logger.error('Failed to get workspace timezone:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Turn a channel's digest on or off
+ * @param {string|null} frequency - daily, weekly, or NULL to turn it off
+ * @param {Date|null} nextAt - When the first digest is due
+ */
+async function setChannelDigest(teamId, channelId, frequency, nextAt) {
+    const query = `
+        INSERT INTO slack_channel_settings (team_id, channel_id, digest_frequency, digest_next_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (team_id, channel_id)
+        DO UPDATE SET
+            digest_frequency = EXCLUDED.digest_frequency,
+            digest_next_at = EXCLUDED.digest_next_at,
+            updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    try {
+        await pool.query(query, [teamId, channelId, frequency, nextAt]);
+    } catch (error) {
+        logger.error('Failed to set channel digest:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get a channel's digest settings
+ * @returns {Object} - { frequency, next_at, timezone }; frequency is NULL when off
+ */
+async function getChannelDigest(teamId, channelId) {
+    const query = `
+        SELECT c.digest_frequency, c.digest_next_at, w.timezone
+        FROM slack_workspaces w
+        LEFT JOIN slack_channel_settings c
+            ON c.team_id = w.team_id AND c.channel_id = $2
+        WHERE w.team_id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, channelId]);
+        const row = result.rows[0] || {};
+        
+        return {
+            frequency: row.digest_frequency || null,
+            next_at: row.digest_next_at || null,
+            timezone: row.timezone || null
+        };
+    } catch (error) {
+        logger.error('Failed to get channel digest:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Claim channel digests that are due and move them to their next run
+ * Same locking as claimDueSchedules, so each digest is posted by one instance;
+ * digests whose next run can't be computed are turned off instead of claimed
+ * @param {Function} getNextRun - (digest) => Date of the run after now
+ * @returns {Array} - Claimed digests with the workspace timezone
+ */
+async function claimDueDigests(getNextRun, limit = 10) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const result = await client.query(`
+            SELECT c.id, c.team_id, c.channel_id, c.digest_frequency,
+                COALESCE(w.timezone, 'UTC') AS timezone
+            FROM slack_channel_settings c
+            JOIN slack_workspaces w ON w.team_id = c.team_id
+            WHERE c.digest_frequency IS NOT NULL
+                AND c.digest_next_at <= CURRENT_TIMESTAMP
+                AND w.is_active = TRUE
+            ORDER BY c.digest_next_at
+            LIMIT $1
+            FOR UPDATE OF c SKIP LOCKED
+        `, [limit]);
+        
+        const claimed = [];
+        
+        for (const digest of result.rows) {
+            let nextRun;
+            
+            try {
+                nextRun = getNextRun(digest);
+            } catch (error) {
+                // A timezone that no longer parses would fail every poll, so turn the digest off
+                logger.error(`Turning off digest for channel ${digest.channel_id}:`, error.message);
+                await client.query(`
+                    UPDATE slack_channel_settings SET
+                        digest_frequency = NULL,
+                        digest_next_at = NULL
+                    WHERE id = $1
+                `, [digest.id]);
+                continue;
+            }
+            
+            await client.query(`
+                UPDATE slack_channel_settings SET
+                    digest_next_at = $1,
+                    digest_last_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [nextRun, digest.id]);
+            
+            claimed.push(digest);
+        }
+        
+        await client.query('COMMIT');
+        return claimed;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Failed to claim due digests:', error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get test totals for a channel over a period
+ * @returns {Object} - { tests, completed, failed, cancelled, bugs }
+ */
+async function getDigestStats(teamId, channelId, since, until) {
+    const query = `
+        SELECT
+            COUNT(*) AS tests,
+            COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+            COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+            COUNT(*) FILTER (WHERE status = 'cancelled') AS cancelled,
+            COALESCE(SUM(bugs_critical) FILTER (WHERE status = 'completed'), 0) AS critical,
+            COALESCE(SUM(bugs_high) FILTER (WHERE status = 'completed'), 0) AS high,
+            COALESCE(SUM(bugs_medium) FILTER (WHERE status = 'completed'), 0) AS medium,
+            COALESCE(SUM(bugs_low) FILTER (WHERE status = 'completed'), 0) AS low
+        FROM slack_tests
+        WHERE slack_team_id = $1
+            AND slack_channel_id = $2
+            AND started_at >= $3
+            AND started_at < $4
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, channelId, since, until]);
+        const row = result.rows[0];
+        
+        // COUNT and SUM come back as strings
+        return {
+            tests: parseInt(row.tests),
+            completed: parseInt(row.completed),
+            failed: parseInt(row.failed),
+            cancelled: parseInt(row.cancelled),
+            bugs: {
+                critical: parseInt(row.critical),
+                high: parseInt(row.high),
+                medium: parseInt(row.medium),
+                low: parseInt(row.low)
+            }
+        };
+    } catch (error) {
+        logger.error('Failed to get digest stats:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the targets with the most critical bugs in a channel over a period
+ */
+async function getDigestTopTargets(teamId, channelId, since, until, limit = 3) {
+    const query = `
+        SELECT test_type, url, app_name, platform,
+            SUM(bugs_critical) AS critical, COUNT(*) AS tests
+        FROM slack_tests
+        WHERE slack_team_id = $1
+            AND slack_channel_id = $2
+            AND started_at >= $3
+            AND started_at < $4
+            AND status = 'completed'
+        GROUP BY test_type, url, app_name, platform
+        HAVING SUM(bugs_critical) > 0
+        ORDER BY SUM(bugs_critical) DESC
+        LIMIT $5
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, channelId, since, until, limit]);
+        return result.rows.map(row => ({
+            ...row,
+            critical: parseInt(row.critical),
+            tests: parseInt(row.tests)
+        }));
+    } catch (error) {
+        logger.error('Failed to get digest top targets:', error.message);
+        throw error;
+    }
+}
+
+// ============================================================================
+// USER LINK FUNCTIONS
+// ============================================================================
+
+/**
+ * Link Slack user to Deffatest account
+ * SECURITY: API key is encrypted before storage
+ */
+async function linkUser(linkData) {
+    const {
+        slack_team_id,
+        slack_user_id,
+        deffatest_api_key,
+        deffatest_email,
+        deffatest_user_id
+    } = linkData;
+    
+    // SECURITY: Encrypt the API key
+    const encryptedApiKey = encrypt(deffatest_api_key);
+    
+    const query = `
+        INSERT INTO user_links (
+            slack_team_id, slack_user_id, api_key_encrypted, 
+            deffatest_email, deffatest_user_id
+        ) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (slack_team_id, slack_user_id)
+        DO UPDATE SET
+            api_key_encrypted = EXCLUDED.api_key_encrypted,
+            deffatest_email = EXCLUDED.deffatest_email,
+            deffatest_user_id = EXCLUDED.deffatest_user_id,
+            updated_at = CURRENT_TIMESTAMP,
+            is_active = TRUE
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query, [
+            slack_team_id, slack_user_id, encryptedApiKey,
+            deffatest_email, deffatest_user_id
+        ]);
+        logger.info(`User linked: ${slack_user_id}`);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Failed to link user:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get user's Deffatest API key
+ * SECURITY: Decrypts API key only when needed
+ */
+async function getUserLink(slackUserId, slackTeamId) {
+    const query = `
+        SELECT slack_user_id, api_key_encrypted, deffatest_email, deffatest_user_id, linked_at,
+            dm_notifications
+        FROM user_links 
+        WHERE slack_user_id = $1 AND slack_team_id = $2 AND is_active = TRUE
+    `;
+    
+    try {
+        const result = await pool.query(query, [slackUserId, slackTeamId]);
+        
+        if (result.rows.length === 0) {
+            return await getTeamKeyLink(slackUserId, slackTeamId);
+        }
+        
+        const row = result.rows[0];
+        
+        // SECURITY: Decrypt API key for use
+        return {
+            slack_user_id: row.slack_user_id,
+            api_key: decrypt(row.api_key_encrypted),
+            email: row.deffatest_email,
+            user_id: row.deffatest_user_id,
+            linked_at: row.linked_at,
+            dm_notifications: row.dm_notifications !== false,
+            is_team_key: false
+        };
+    } catch (error) {
+        logger.error('Failed to get user link:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Stand-in user link for a user who hasn't linked, using the workspace team key
+ * @returns {Object|null} - Same shape as getUserLink, or null if there is no team key
+ */
+async function getTeamKeyLink(slackUserId, slackTeamId) {
+    const teamKey = await getWorkspaceTeamKey(slackTeamId);
+    
+    if (!teamKey) {
+        return null;
+    }
+    
+    return {
+        slack_user_id: slackUserId,
+        api_key: teamKey.api_key,
+        email: null,
+        user_id: null,
+        linked_at: null,
+        dm_notifications: true,
+        is_team_key: true
+    };
+}
+
+/**
+ * Unlink Slack user from Deffatest account (soft delete)
+ * @returns {boolean} - True if an active link was deactivated
+ */
+async function unlinkUser(slackUserId, slackTeamId) {
+    const query = `
+        UPDATE user_links SET
+            is_active = FALSE,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE slack_user_id = $1 AND slack_team_id = $2 AND is_active = TRUE
+    `;
+    
+    try {
+        const result = await pool.query(query, [slackUserId, slackTeamId]);
+        if (result.rowCount > 0) {
+            logger.info(`User unlinked: ${slackUserId}`);
+        }
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to unlink user:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Turn direct message notifications on or off for a linked user
+ */
+async function setDmNotifications(slackUserId, slackTeamId, enabled) {
+    const query = `
+        UPDATE user_links SET
+            dm_notifications = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE slack_user_id = $2 AND slack_team_id = $3 AND is_active = TRUE
+    `;
+    
+    try {
+        await pool.query(query, [enabled, slackUserId, slackTeamId]);
+    } catch (error) {
+        logger.error('Failed to set DM notifications:', error.message);
+        throw error;
+    }
+}
+
+// ============================================================================
+// TEST TRACKING FUNCTIONS
+// ============================================================================
+
+/**
+ * Save test submission for notifications
+ */
+async function saveTest(testData) {
+    const {
+        test_id,
+        slack_team_id,
+        slack_user_id,
+        slack_channel_id,
+        test_type,
+        url,
+        duration,
+        app_name,
+        platform,
+        session_length,
+        input_mode,
+        slack_file_id,
+        previous_test_id
+    } = testData;
+    
+    const query = `
+        INSERT INTO slack_tests (
+            test_id, slack_team_id, slack_user_id, slack_channel_id,
+            test_type, url, duration, app_name, platform,
+            session_length, input_mode, slack_file_id, previous_test_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        ON CONFLICT (test_id) DO NOTHING
+        RETURNING id
+    `;
+    
+    let result;
+    
+    try {
+        result = await pool.query(query, [
+            test_id, slack_team_id, slack_user_id, slack_channel_id,
+            test_type, url, duration, app_name || null, platform || null,
+            session_length || null, input_mode || null,
+            slack_file_id || null, previous_test_id || null
+        ]);
+    } catch (error) {
+        logger.error('Failed to save test:', error.message);
+        throw error;
+    }
+    
+    // The person who started the test watches it until they opt out. The test is
+    // already running and saved, so a failure here only costs them the DMs
+    try {
+        await addTestWatcher(test_id, slack_team_id, slack_user_id);
+    } catch (error) {
+        logger.warn(`Test ${test_id} saved without its initiator as a watcher`);
+    }
+    
+    return result.rows[0];
+}
+
+// ============================================================================
+// WATCHER FUNCTIONS
+// ============================================================================
+
+/**
+ * Subscribe a user to a test's completion and failure DMs
+ * @returns {boolean} - False if they were already watching
+ */
+async function addTestWatcher(testId, teamId, userId) {
+    const query = `
+        INSERT INTO test_watchers (test_id, slack_team_id, slack_user_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (test_id, slack_user_id) DO NOTHING
+    `;
+    
+    try {
+        const result = await pool.query(query, [testId, teamId, userId]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to add test watcher:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Unsubscribe a user from a test's DMs
+ * @returns {boolean} - False if they were not watching
+ */
+async function removeTestWatcher(testId, teamId, userId) {
+    const query = `
+        DELETE FROM test_watchers
+        WHERE test_id = $1 AND slack_team_id = $2 AND slack_user_id = $3
+    `;
+    
+    try {
+        const result = await pool.query(query, [testId, teamId, userId]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to remove test watcher:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the users watching a test, in the order they subscribed
+ * @returns {Array<string>} - Slack user IDs
+ */
+async function getTestWatchers(testId, teamId) {
+    const query = `
+        SELECT slack_user_id
+        FROM test_watchers
+        WHERE test_id = $1 AND slack_team_id = $2
+        ORDER BY created_at, id
+    `;
+    
+    try {
+        const result = await pool.query(query, [testId, teamId]);
+        return result.rows.map(row => row.slack_user_id);
+    } catch (error) {
+        logger.error('Failed to get test watchers:', error.message);
+        throw error;
+    }
+}
+
+// ============================================================================
+// BUG TRIAGE FUNCTIONS
+// ============================================================================
+
+const BUG_COLUMNS = `
+    test_id, bug_id, slack_team_id, severity, title, alert_ts, triage_status,
+    assignee_slack_id, triaged_by, triaged_at, synced
+`;
+
+/**
+ * Record bugs fetched for a bug alert; bugs already recorded keep their triage state
+ * @param {Array} bugs - [{ bug_id, severity, title }]
+ */
+async function saveTestBugs(testId, teamId, bugs) {
+    const query = `
+        INSERT INTO test_bugs (test_id, slack_team_id, bug_id, severity, title)
+        SELECT $1, $2, * FROM unnest($3::varchar[], $4::varchar[], $5::text[])
+        ON CONFLICT (test_id, bug_id) DO NOTHING
+    `;
+    
+    try {
+        await pool.query(query, [
+            testId,
+            teamId,
+            bugs.map(bug => bug.bug_id),
+            bugs.map(bug => bug.severity),
+            bugs.map(bug => bug.title)
+        ]);
+    } catch (error) {
+        logger.error('Failed to save test bugs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get a test's bugs that no bug alert lists yet, most severe first
+ */
+async function getUnalertedBugs(testId, limit = 20) {
+    const query = `
+        SELECT ${BUG_COLUMNS}
+        FROM test_bugs
+        WHERE test_id = $1 AND alert_ts IS NULL
+        ORDER BY severity = 'critical' DESC, id
+        LIMIT $2
+    `;
+    
+    try {
+        const result = await pool.query(query, [testId, limit]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Failed to get unalerted bugs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Record the bug alert message that lists these bugs
+ */
+async function setBugAlertTs(testId, bugIds, alertTs) {
+    const query = `
+        UPDATE test_bugs SET alert_ts = $3
+        WHERE test_id = $1 AND bug_id = ANY($2::varchar[])
+    `;
+    
+    try {
+        await pool.query(query, [testId, bugIds, alertTs]);
+    } catch (error) {
+        logger.error('Failed to set bug alert message:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the bugs listed on a bug alert message, most severe first
+ */
+async function getAlertBugs(testId, alertTs) {
+    const query = `
+        SELECT ${BUG_COLUMNS}
+        FROM test_bugs
+        WHERE test_id = $1 AND alert_ts = $2
+        ORDER BY severity = 'critical' DESC, id
+    `;
+    
+    try {
+        const result = await pool.query(query, [testId, alertTs]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Failed to get alert bugs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Change a bug's triage state; it stays unsynced until markBugSynced
+ * @param {Object} changes - { triage_status } and/or { assignee_slack_id }
+ * @returns {Object|null} - Updated bug, or null if it isn't recorded for this team
+ */
+async function updateBugTriage(testId, bugId, teamId, userId, changes) {
+    const query = `
+        UPDATE test_bugs SET
+            triage_status = COALESCE($5, triage_status),
+            assignee_slack_id = COALESCE($6, assignee_slack_id),
+            triaged_by = $4,
+            triaged_at = CURRENT_TIMESTAMP,
+            synced = FALSE
+        WHERE test_id = $1 AND bug_id = $2 AND slack_team_id = $3
+        RETURNING ${BUG_COLUMNS}
+    `;
+    
+    try {
+        const result = await pool.query(query, [
+            testId,
+            bugId,
+            teamId,
+            userId,
+            changes.triage_status || null,
+            changes.assignee_slack_id || null
+        ]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Failed to update bug triage:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Mark a bug's triage state as sent to Deffatest
+ * Skipped if the state changed again since `bug` was read, so a slow sync can't hide a newer change
+ * @param {Object} bug - Bug as returned by updateBugTriage
+ */
+async function markBugSynced(bug) {
+    const query = `
+        UPDATE test_bugs SET synced = TRUE
+        WHERE test_id = $1 AND bug_id = $2
+            AND triage_status = $3
+            AND assignee_slack_id IS NOT DISTINCT FROM $4
+    `;
+    
+    try {
+        await pool.query(query, [bug.test_id, bug.bug_id, bug.triage_status, bug.assignee_slack_id]);
+    } catch (error) {
+        logger.error('Failed to mark bug synced:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get test info for sending notifications
+ */
+async function getTestInfo(testId) {
+    const query = `
+        SELECT t.*, w.bot_token_encrypted, w.is_active AS workspace_active,
+            COALESCE(c.thread_mode, w.thread_mode, FALSE) AS thread_mode,
+            COALESCE(u.dm_notifications, TRUE) AS dm_notifications
+        FROM slack_tests t
+        JOIN slack_workspaces w ON t.slack_team_id = w.team_id
+        LEFT JOIN slack_channel_settings c
+            ON c.team_id = t.slack_team_id AND c.channel_id = t.slack_channel_id
+        LEFT JOIN user_links u
+            ON u.slack_team_id = t.slack_team_id AND u.slack_user_id = t.slack_user_id AND u.is_active = TRUE
+        WHERE t.test_id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [testId]);
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const row = result.rows[0];
+        
+        return {
+            test_id: row.test_id,
+            slack_team_id: row.slack_team_id,
+            slack_user_id: row.slack_user_id,
+            slack_channel_id: row.slack_channel_id,
+            test_type: row.test_type,
+            url: row.url,
+            duration: row.duration,
+            app_name: row.app_name,
+            platform: row.platform,
+            session_length: row.session_length,
+            input_mode: row.input_mode,
+            status: row.status,
+            progress: row.progress,
+            bugs: {
+                critical: row.bugs_critical || 0,
+                high: row.bugs_high || 0,
+                medium: row.bugs_medium || 0,
+                low: row.bugs_low || 0
+            },
+            message_ts: row.message_ts,
+            thread_ts: row.thread_ts,
+            slack_file_id: row.slack_file_id,
+            previous_test_id: row.previous_test_id,
+            started_at: row.started_at,
+            thread_mode: row.thread_mode === true,
+            dm_notifications: row.dm_notifications !== false,
+            workspace_active: row.workspace_active === true,
+            bot_token: row.workspace_active ? decrypt(row.bot_token_encrypted) : null
+        };
+    } catch (error) {
+        logger.error('Failed to get test info:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get test history for a workspace, newest first
+ * @param {Object} filters - { teamId, channelId, userId, status, url, since, limit, offset }
+ */
+async function getTestHistory(filters) {
+    const { teamId, channelId, userId, status, url, since, limit = 10, offset = 0 } = filters;
+    
+    const conditions = ['slack_team_id = $1'];
+    const values = [teamId];
+    
+    if (channelId) {
+        values.push(channelId);
+        conditions.push(`slack_channel_id = $${values.length}`);
+    }
+    
+    if (userId) {
+        values.push(userId);
+        conditions.push(`slack_user_id = $${values.length}`);
+    }
+    
+    if (status) {
+        values.push(status);
+        conditions.push(`status = $${values.length}`);
+    }
+    
+    if (url) {
+        // Escape LIKE wildcards so the filter is a plain substring match
+        values.push(`%${url.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(url ILIKE $${values.length} OR app_name ILIKE $${values.length})`);
+    }
+    
+    if (since) {
+        values.push(since);
+        conditions.push(`started_at >= $${values.length}`);
+    }
+    
+    values.push(limit, offset);
+    
+    const query = `
+        SELECT test_id, slack_user_id, slack_channel_id, test_type, url, app_name, platform,
+            duration, status, progress, bugs_critical, bugs_high, bugs_medium, bugs_low, started_at, completed_at
+        FROM slack_tests
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY started_at DESC, id DESC
+        LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    
+    try {
+        const result = await pool.query(query, values);
+        return result.rows;
+    } catch (error) {
+        logger.error('Failed to get test history:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get earlier completed runs of the same target, newest first
+ * The target is the URL for web and game tests and the app for mobile tests;
+ * type and platform must match too
+ */
+async function getPreviousCompletedTests(test, limit = 10) {
+    const query = `
+        SELECT test_id, duration, bugs_critical, bugs_high, bugs_medium, bugs_low, completed_at
+        FROM slack_tests
+        WHERE slack_team_id = $1
+            AND test_type = $2
+            AND status = 'completed'
+            AND test_id <> $3
+            AND started_at < $4
+            AND url IS NOT DISTINCT FROM $5
+            AND app_name IS NOT DISTINCT FROM $6
+            AND platform IS NOT DISTINCT FROM $7
+        ORDER BY completed_at DESC
+        LIMIT $8
+    `;
+    
+    try {
+        const result = await pool.query(query, [
+            test.slack_team_id,
+            test.test_type,
+            test.test_id,
+            test.started_at,
+            test.url || null,
+            test.app_name || null,
+            test.platform || null,
+            limit
+        ]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Failed to get previous tests:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remember the "Test started" message so it can be updated in place
+ * @param {string} [threadTs] - Thread the message was posted in, if it is a reply
+ */
+async function saveTestMessage(testId, messageTs, threadTs) {
+    const query = `
+        UPDATE slack_tests SET message_ts = $1, thread_ts = $2
+        WHERE test_id = $3
+    `;
+    
+    try {
+        await pool.query(query, [messageTs, threadTs || null, testId]);
+    } catch (error) {
+        logger.error('Failed to save test message:', error.message);
+    }
+}
+
+/**
+ * Record test progress, throttled per test
+ * The interval check is part of the UPDATE so concurrent webhooks can't both win
+ * @returns {boolean} - True if the progress was recorded and the message should be updated
+ */
+async function recordTestProgress(testId, progress, bugs, minIntervalSeconds) {
+    const query = `
+        UPDATE slack_tests SET
+            progress = $1,
+            bugs_critical = $2,
+            bugs_high = $3,
+            bugs_medium = $4,
+            bugs_low = $5,
+            progress_updated_at = CURRENT_TIMESTAMP
+        WHERE test_id = $6
+            AND status = 'running'
+            AND (
+                progress_updated_at IS NULL
+                OR progress_updated_at < CURRENT_TIMESTAMP - make_interval(secs => $7)
+            )
+    `;
+    
+    try {
+        const result = await pool.query(query, [
+            progress,
+            bugs?.critical || 0,
+            bugs?.high || 0,
+            bugs?.medium || 0,
+            bugs?.low || 0,
+            testId,
+            minIntervalSeconds
+        ]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to record test progress:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Update test status
+ * Only running tests change status, so a late or repeated webhook can't
+ * overwrite a verdict that was already recorded
+ * @returns {boolean} - True if the test moved to the new status
+ */
+async function updateTestStatus(testId, status, bugs) {
+    const query = `
+        UPDATE slack_tests SET
+            status = $1,
+            bugs_critical = $2,
+            bugs_high = $3,
+            bugs_medium = $4,
+            bugs_low = $5,
+            completed_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE NULL END
+        WHERE test_id = $6 AND status = 'running'
+    `;
+    
+    try {
+        const result = await pool.query(query, [
+            status,
+            bugs?.critical || 0,
+            bugs?.high || 0,
+            bugs?.medium || 0,
+            bugs?.low || 0,
+            testId
+        ]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to update test status:', error.message);
+        throw error;
+    }
+}
+
+// ============================================================================
+// WEBHOOK EVENT FUNCTIONS
+// ============================================================================
+
+/**
+ * Record a webhook delivery before processing it
+ * An ID seen within the TTL is a retry; older rows are reclaimed in place
+ * @returns {boolean} - True if this delivery should be processed
+ */
+async function claimWebhookEvent(eventId, eventType, ttlHours) {
+    const query = `
+        INSERT INTO webhook_events (event_id, event_type, received_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (event_id) DO UPDATE SET
+            event_type = EXCLUDED.event_type,
+            received_at = CURRENT_TIMESTAMP
+        WHERE webhook_events.received_at < CURRENT_TIMESTAMP - make_interval(hours => $3)
+    `;
+    
+    try {
+        const result = await pool.query(query, [eventId, eventType, ttlHours]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to record webhook event:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Forget a webhook delivery that failed, so the sender's retry is processed
+ */
+async function releaseWebhookEvent(eventId) {
+    try {
+        await pool.query('DELETE FROM webhook_events WHERE event_id = $1', [eventId]);
+    } catch (error) {
+        logger.error('Failed to release webhook event:', error.message);
+    }
+}
+
+/**
+ * Delete webhook events older than the de-duplication window
+ */
+async function purgeWebhookEvents(ttlHours) {
+    const query = `
+        DELETE FROM webhook_events
+        WHERE received_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+    `;
+    
+    try {
+        const result = await pool.query(query, [ttlHours]);
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Failed to purge webhook events:', error.message);
+        return 0;
+    }
+}
+
+// ============================================================================
+// WEBHOOK JOB FUNCTIONS
+// ============================================================================
+
+/**
+ * Queue a webhook delivery for the worker
+ */
+async function enqueueWebhookJob(eventId, eventType, payload) {
+    const query = `
+        INSERT INTO webhook_jobs (event_id, event_type, payload)
+        VALUES ($1, $2, $3)
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query, [eventId || null, eventType, JSON.stringify(payload)]);
+        return result.rows[0].id;
+    } catch (error) {
+        logger.error('Failed to queue webhook job:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Lock a batch of due webhook jobs for this worker
+ * Jobs stuck in processing past their lock (e.g. after a crash) are picked up again
+ * @returns {Array} - Claimed jobs in arrival order
+ */
+async function claimWebhookJobs(limit, lockSeconds) {
+    const query = `
+        UPDATE webhook_jobs SET
+            status = 'processing',
+            attempts = attempts + 1,
+            locked_until = CURRENT_TIMESTAMP + make_interval(secs => $2),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+            SELECT id FROM webhook_jobs
+            WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                OR (status = 'processing' AND locked_until < CURRENT_TIMESTAMP)
+            ORDER BY id
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, event_id, event_type, payload, attempts, completed_steps
+    `;
+    
+    try {
+        const result = await pool.query(query, [limit, lockSeconds]);
+        return result.rows.sort((a, b) => a.id - b.id);
+    } catch (error) {
+        logger.error('Failed to claim webhook jobs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remember which notification steps of a job already went out
+ */
+async function saveWebhookJobSteps(jobId, steps) {
+    await pool.query(`
+        UPDATE webhook_jobs SET
+            completed_steps = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+    `, [JSON.stringify(steps), jobId]);
+}
+
+/**
+ * Mark a webhook job as done
+ */
+async function completeWebhookJob(jobId) {
+    await pool.query(`
+        UPDATE webhook_jobs SET
+            status = 'completed',
+            locked_until = NULL,
+            last_error = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [jobId]);
+}
+
+/**
+ * Put a failed webhook job back in the queue after a delay
+ * @param {boolean} rateLimited - Rate-limited attempts don't count towards the limit
+ */
+async function retryWebhookJob(jobId, delayMs, errorMessage, rateLimited) {
+    await pool.query(`
+        UPDATE webhook_jobs SET
+            status = 'pending',
+            attempts = CASE WHEN $4 THEN attempts - 1 ELSE attempts END,
+            next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2),
+            last_error = $3,
+            locked_until = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [jobId, delayMs / 1000, errorMessage, rateLimited]);
+}
+
+/**
+ * Move a webhook job that keeps failing to the dead-letter state
+ */
+async function deadLetterWebhookJob(jobId, errorMessage) {
+    await pool.query(`
+        UPDATE webhook_jobs SET
+            status = 'dead',
+            last_error = $2,
+            locked_until = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [jobId, errorMessage]);
+}
+
+/**
+ * Get dead-lettered webhook jobs, newest first
+ */
+async function getDeadWebhookJobs(limit = 50) {
+    const query = `
+        SELECT id, event_id, event_type, payload->'data'->>'test_id' AS test_id,
+            attempts, last_error, created_at, updated_at
+        FROM webhook_jobs
+        WHERE status = 'dead'
+        ORDER BY updated_at DESC
+        LIMIT $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [limit]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Failed to get dead webhook jobs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Queue a dead-lettered webhook job again with a fresh attempt count
+ * Steps that already succeeded are not repeated
+ * @param {number|null} jobId - Job to replay, or null for every dead job
+ * @returns {number} - Number of jobs queued
+ */
+async function replayWebhookJobs(jobId) {
+    const query = `
+        UPDATE webhook_jobs SET
+            status = 'pending',
+            attempts = 0,
+            next_attempt_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'dead' AND ($1::int IS NULL OR id = $1)
+    `;
+    
+    try {
+        const result = await pool.query(query, [jobId]);
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Failed to replay webhook jobs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Delete completed webhook jobs older than the retention window
+ */
+async function purgeWebhookJobs(ttlHours) {
+    const query = `
+        DELETE FROM webhook_jobs
+        WHERE status = 'completed'
+            AND updated_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+    `;
+    
+    try {
+        const result = await pool.query(query, [ttlHours]);
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Failed to purge webhook jobs:', error.message);
+        return 0;
+    }
+}
+
+// ============================================================================
+// SCHEDULE FUNCTIONS
+// ============================================================================
+
+/**
+ * Create a recurring test schedule
+ */
+async function createSchedule(scheduleData) {
+    const {
+        team_id,
+        channel_id,
+        user_id,
+        url,
+        duration,
+        cron,
+        timezone,
+        next_run_at
+    } = scheduleData;
+    
+    const query = `
+        INSERT INTO test_schedules (
+            team_id, channel_id, user_id, url, duration, cron, timezone, next_run_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, next_run_at
+    `;
+    
+    try {
+        const result = await pool.query(query, [
+            team_id, channel_id, user_id, url, duration, cron, timezone, next_run_at
+        ]);
+        logger.info(`Schedule created: ${result.rows[0].id} by ${user_id}`);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Failed to create schedule:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get active schedules posting to a channel
+ */
+async function getChannelSchedules(teamId, channelId) {
+    const query = `
+        SELECT id, user_id, url, duration, cron, timezone, next_run_at, last_run_at
+        FROM test_schedules
+        WHERE team_id = $1 AND channel_id = $2 AND is_active = TRUE
+        ORDER BY next_run_at
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, channelId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Failed to get schedules:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get an active schedule by ID
+ */
+async function getSchedule(teamId, scheduleId) {
+    const query = `
+        SELECT id, team_id, channel_id, user_id, url, duration, cron, timezone, next_run_at
+        FROM test_schedules
+        WHERE team_id = $1 AND id = $2 AND is_active = TRUE
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, scheduleId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Failed to get schedule:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Deactivate a schedule (soft delete)
+ */
+async function deleteSchedule(teamId, scheduleId) {
+    const query = `
+        UPDATE test_schedules SET
+            is_active = FALSE,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE team_id = $1 AND id = $2 AND is_active = TRUE
+    `;
+    
+    try {
+        const result = await pool.query(query, [teamId, scheduleId]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Failed to delete schedule:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Claim schedules that are due and move them to their next run
+ * Rows are locked with SKIP LOCKED and advanced before the transaction commits,
+ * so a run is claimed by exactly one instance even when several are running.
+ * Schedules whose next run can't be computed are deactivated instead of claimed.
+ * @param {Function} getNextRun - (schedule) => Date of the run after now
+ * @returns {Array} - Claimed schedules
+ */
+async function claimDueSchedules(getNextRun, limit = 10) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const result = await client.query(`
+            SELECT id, team_id, channel_id, user_id, url, duration, cron, timezone
+            FROM test_schedules
+            WHERE is_active = TRUE AND next_run_at <= CURRENT_TIMESTAMP
+            ORDER BY next_run_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        `, [limit]);
+        
+        const claimed = [];
+        
+        for (const schedule of result.rows) {
+            let nextRun;
+            
+            try {
+                nextRun = getNextRun(schedule);
+            } catch (error) {
+                // A cron or timezone that no longer parses would fail every poll, so stop the schedule
+                logger.error(`Deactivating schedule ${schedule.id}:`, error.message);
+                await client.query('UPDATE test_schedules SET is_active = FALSE WHERE id = $1', [schedule.id]);
+                continue;
+            }
+            
+            await client.query(`
+                UPDATE test_schedules SET
+                    next_run_at = $1,
+                    last_run_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [nextRun, schedule.id]);
+            
+            claimed.push(schedule);
+        }
+        
+        await client.query('COMMIT');
+        return claimed;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Failed to claim due schedules:', error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// ============================================================================
+// ENCRYPTION KEY ROTATION FUNCTIONS
+// ============================================================================
+
+// Columns holding values encrypted with utils/crypto; each table has a SERIAL id
+const ENCRYPTED_COLUMNS = [
+    { table: 'slack_workspaces', column: 'bot_token_encrypted' },
+    { table: 'slack_workspaces', column: 'team_api_key_encrypted' },
+    { table: 'user_links', column: 'api_key_encrypted' }
+];
+
+/**
+ * Count encrypted values not yet under the current encryption key
+ * @returns {Array} - [{ table, column, count }]
+ */
+async function countStaleSecrets() {
+    const currentPrefix = `${getCurrentKeyId()}:%`;
+    
+    try {
+        const counts = [];
+        
+        for (const { table, column } of ENCRYPTED_COLUMNS) {
+            const result = await pool.query(
+                `SELECT COUNT(*)::int AS count FROM ${table} WHERE ${column} IS NOT NULL AND ${column} NOT LIKE $1`,
+                [currentPrefix]
+            );
+            counts.push({ table, column, count: result.rows[0].count });
+        }
+        
+        return counts;
+    } catch (error) {
+        logger.error('Failed to count stale secrets:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Re-encrypt every stored secret that isn't under the current encryption key
+ * Works in small batches and only updates a row if its value is unchanged since it was
+ * read, so it can run while the app is serving (a relink during the walk wins).
+ * Values that can't be decrypted are skipped and counted as failed
+ * @param {number} batchSize - Rows read per query
+ * @returns {Array} - [{ table, column, updated, failed }]
+ */
+async function reencryptSecrets(batchSize = 100) {
+    const currentPrefix = `${getCurrentKeyId()}:%`;
+    const summary = [];
+    
+    for (const { table, column } of ENCRYPTED_COLUMNS) {
+        const stats = { table, column, updated: 0, failed: 0 };
+        let lastId = 0;
+        
+        for (;;) {
+            let rows;
+            
+            try {
+                const result = await pool.query(
+                    `SELECT id, ${column} AS value FROM ${table}
+                     WHERE id > $1 AND ${column} IS NOT NULL AND ${column} NOT LIKE $2
+                     ORDER BY id
+                     LIMIT $3`,
+                    [lastId, currentPrefix, batchSize]
+                );
+                rows = result.rows;
+            } catch (error) {
+                logger.error(`Failed to read ${table}.${column} for re-encryption:`, error.message);
+                throw error;
+            }
+            
+            if (rows.length === 0) break;
+            
+            for (const row of rows) {
+                try {
+                    const result = await pool.query(
+                        `UPDATE ${table} SET ${column} = $1 WHERE id = $2 AND ${column} = $3`,
+                        [encrypt(decrypt(row.value)), row.id, row.value]
+                    );
+                    stats.updated += result.rowCount;
+                } catch (error) {
+                    stats.failed++;
+                    logger.error(`Failed to re-encrypt ${table}.${column} row ${row.id}:`, error.message);
+                }
+            }
+            
+            lastId = rows[rows.length - 1].id;
+            logger.info(`Re-encrypted ${table}.${column} up to row ${lastId}`);
+        }
+        
+        summary.push(stats);
+    }
+    
+    return summary;
+}
+
+// ============================================================================
+// INITIALIZE DATABASE
+// ============================================================================
+
+/**
+ * Create tables if they don't exist
+ */
+async function initializeDatabase() {
+    const createTablesQuery = `
+        -- Workspaces table
+        CREATE TABLE IF NOT EXISTS slack_workspaces (
+            id SERIAL PRIMARY KEY,
+            team_id VARCHAR(255) UNIQUE NOT NULL,
+            team_name VARCHAR(255) NOT NULL,
+            bot_token_encrypted TEXT,
+            bot_id VARCHAR(255),
+            bot_user_id VARCHAR(255),
+            scope TEXT,
+            installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            is_active BOOLEAN DEFAULT TRUE,
+            thread_mode BOOLEAN DEFAULT FALSE,
+            timezone VARCHAR(100),
+            team_api_key_encrypted TEXT,
+            team_key_set_by VARCHAR(255),
+            team_key_set_at TIMESTAMP
+        );
+        
+        -- Channel settings table (overrides workspace defaults)
+        CREATE TABLE IF NOT EXISTS slack_channel_settings (
+            id SERIAL PRIMARY KEY,
+            team_id VARCHAR(255) NOT NULL,
+            channel_id VARCHAR(255) NOT NULL,
+            thread_mode BOOLEAN,
+            digest_frequency VARCHAR(20),
+            digest_next_at TIMESTAMPTZ,
+            digest_last_at TIMESTAMPTZ,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(team_id, channel_id)
+        );
+        
+        -- User links table
+        CREATE TABLE IF NOT EXISTS user_links (
+            id SERIAL PRIMARY KEY,
+            slack_team_id VARCHAR(255) NOT NULL,
+            slack_user_id VARCHAR(255) NOT NULL,
+            api_key_encrypted TEXT NOT NULL,
+            deffatest_email VARCHAR(255),
+            deffatest_user_id VARCHAR(255),
+            linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            is_active BOOLEAN DEFAULT TRUE,
+            dm_notifications BOOLEAN DEFAULT TRUE,
+            UNIQUE(slack_team_id, slack_user_id)
+        );
+        
+        -- Tests table (for tracking notifications)
+        CREATE TABLE IF NOT EXISTS slack_tests (
+            id SERIAL PRIMARY KEY,
+            test_id VARCHAR(255) UNIQUE NOT NULL,
+            slack_team_id VARCHAR(255) NOT NULL,
+            slack_user_id VARCHAR(255) NOT NULL,
+            slack_channel_id VARCHAR(255) NOT NULL,
+            test_type VARCHAR(50),
+            url TEXT,
+            duration VARCHAR(50),
+            app_name VARCHAR(255),
+            platform VARCHAR(50),
+            session_length VARCHAR(50),
+            input_mode VARCHAR(50),
+            message_ts VARCHAR(50),
+            thread_ts VARCHAR(50),
+            slack_file_id VARCHAR(255),
+            previous_test_id VARCHAR(255),
+            progress INTEGER DEFAULT 0,
+            progress_updated_at TIMESTAMP,
+            status VARCHAR(50) DEFAULT 'running',
+            bugs_critical INTEGER DEFAULT 0,
+            bugs_high INTEGER DEFAULT 0,
+            bugs_medium INTEGER DEFAULT 0,
+            bugs_low INTEGER DEFAULT 0,
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP
+        );
+        
+        -- Migrations for existing installs
+        ALTER TABLE slack_workspaces ALTER COLUMN bot_token_encrypted DROP NOT NULL;
+        ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS thread_mode BOOLEAN DEFAULT FALSE;
+        ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS timezone VARCHAR(100);
+        ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS team_api_key_encrypted TEXT;
+        ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS team_key_set_by VARCHAR(255);
+        ALTER TABLE slack_workspaces ADD COLUMN IF NOT EXISTS team_key_set_at TIMESTAMP;
+        ALTER TABLE slack_channel_settings ADD COLUMN IF NOT EXISTS digest_frequency VARCHAR(20);
+        ALTER TABLE slack_channel_settings ADD COLUMN IF NOT EXISTS digest_next_at TIMESTAMPTZ;
+        ALTER TABLE slack_channel_settings ADD COLUMN IF NOT EXISTS digest_last_at TIMESTAMPTZ;
+        ALTER TABLE user_links ADD COLUMN IF NOT EXISTS dm_notifications BOOLEAN DEFAULT TRUE;
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS app_name VARCHAR(255);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS platform VARCHAR(50);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS session_length VARCHAR(50);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS input_mode VARCHAR(50);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS message_ts VARCHAR(50);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0;
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS progress_updated_at TIMESTAMP;
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS thread_ts VARCHAR(50);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS slack_file_id VARCHAR(255);
+        ALTER TABLE slack_tests ADD COLUMN IF NOT EXISTS previous_test_id VARCHAR(255);
+        
+        -- Recurring test schedules
+        CREATE TABLE IF NOT EXISTS test_schedules (
+            id SERIAL PRIMARY KEY,
+            team_id VARCHAR(255) NOT NULL,
+            channel_id VARCHAR(255) NOT NULL,
+            user_id VARCHAR(255) NOT NULL,
+            url TEXT NOT NULL,
+            duration VARCHAR(50) NOT NULL,
+            cron VARCHAR(255) NOT NULL,
+            timezone VARCHAR(100) DEFAULT 'UTC',
+            next_run_at TIMESTAMPTZ NOT NULL,
+            last_run_at TIMESTAMPTZ,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            is_active BOOLEAN DEFAULT TRUE
+        );
+        
+        -- Processed webhook deliveries (de-duplication)
+        CREATE TABLE IF NOT EXISTS webhook_events (
+            event_id VARCHAR(255) PRIMARY KEY,
+            event_type VARCHAR(100),
+            received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        -- Webhook deliveries waiting for (or done with) Slack notification
+        CREATE TABLE IF NOT EXISTS webhook_jobs (
+            id SERIAL PRIMARY KEY,
+            event_id VARCHAR(255),
+            event_type VARCHAR(100),
+            payload JSONB NOT NULL,
+            status VARCHAR(50) DEFAULT 'pending',
+            attempts INTEGER DEFAULT 0,
+            completed_steps JSONB DEFAULT '[]',
+            last_error TEXT,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            locked_until TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        -- Users who get DMs when a test finishes. Created once with a backfill so
+        -- running tests from before watchers keep DMing their initiator
+        DO $$
+        BEGIN
+            IF to_regclass('test_watchers') IS NULL THEN
+                CREATE TABLE test_watchers (
+                    id SERIAL PRIMARY KEY,
+                    test_id VARCHAR(255) NOT NULL,
+                    slack_team_id VARCHAR(255) NOT NULL,
+                    slack_user_id VARCHAR(255) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(test_id, slack_user_id)
+                );
+                
+                INSERT INTO test_watchers (test_id, slack_team_id, slack_user_id)
+                    SELECT test_id, slack_team_id, slack_user_id FROM slack_tests WHERE status = 'running';
+            END IF;
+        END $$;
+        
+        -- Workspace rules for who may start tests, where, and for how long
+        CREATE TABLE IF NOT EXISTS test_policies (
+            team_id VARCHAR(255) PRIMARY KEY,
+            allowed_users TEXT[] DEFAULT '{}',
+            allowed_channels TEXT[] DEFAULT '{}',
+            max_duration_admin VARCHAR(20),
+            max_duration_member VARCHAR(20),
+            allowed_domains TEXT[] DEFAULT '{}',
+            blocked_hosts TEXT[] DEFAULT '{}',
+            updated_by VARCHAR(255),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        ALTER TABLE test_policies ADD COLUMN IF NOT EXISTS allowed_domains TEXT[] DEFAULT '{}';
+        ALTER TABLE test_policies ADD COLUMN IF NOT EXISTS blocked_hosts TEXT[] DEFAULT '{}';
+        
+        -- Test count and minute budgets per workspace (NULL means no limit)
+        CREATE TABLE IF NOT EXISTS usage_budgets (
+            team_id VARCHAR(255) PRIMARY KEY,
+            daily_tests INTEGER,
+            daily_minutes INTEGER,
+            monthly_tests INTEGER,
+            monthly_minutes INTEGER,
+            alert_channel_id VARCHAR(255),
+            updated_by VARCHAR(255),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        -- Budget warnings already posted, so each threshold warns once per period
+        CREATE TABLE IF NOT EXISTS budget_warnings (
+            team_id VARCHAR(255) NOT NULL,
+            period_key VARCHAR(50) NOT NULL,
+            metric VARCHAR(20) NOT NULL,
+            threshold INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (team_id, period_key, metric, threshold)
+        );
+        
+        -- Critical and high bugs listed on bug alerts, with their triage state
+        CREATE TABLE IF NOT EXISTS test_bugs (
+            id SERIAL PRIMARY KEY,
+            test_id VARCHAR(255) NOT NULL,
+            bug_id VARCHAR(255) NOT NULL,
+            slack_team_id VARCHAR(255) NOT NULL,
+            severity VARCHAR(20) NOT NULL,
+            title TEXT,
+            alert_ts VARCHAR(50),
+            triage_status VARCHAR(50) DEFAULT 'open',
+            assignee_slack_id VARCHAR(255),
+            triaged_by VARCHAR(255),
+            triaged_at TIMESTAMP,
+            synced BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(test_id, bug_id)
         );
         
         -- Indexes
         CREATE INDEX IF NOT EXISTS idx_workspaces_team ON slack_workspaces(team_id);
         CREATE INDEX IF NOT EXISTS idx_user_links_user ON user_links(slack_team_id, slack_user_id);
         CREATE INDEX IF NOT EXISTS idx_tests_test_id ON slack_tests(test_id);
+        CREATE INDEX IF NOT EXISTS idx_tests_channel_started ON slack_tests(slack_channel_id, started_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_tests_team_url ON slack_tests(slack_team_id, url);
+        CREATE INDEX IF NOT EXISTS idx_channel_digests_due ON slack_channel_settings(digest_next_at) WHERE digest_frequency IS NOT NULL;
+        CREATE INDEX IF NOT EXISTS idx_schedules_due ON test_schedules(next_run_at) WHERE is_active = TRUE;
+        CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at);
+        CREATE INDEX IF NOT EXISTS idx_webhook_jobs_due ON webhook_jobs(next_attempt_at) WHERE status IN ('pending', 'processing');
+        CREATE INDEX IF NOT EXISTS idx_webhook_jobs_status ON webhook_jobs(status, updated_at);
+        CREATE INDEX IF NOT EXISTS idx_test_bugs_alert ON test_bugs(test_id, alert_ts);
+        CREATE INDEX IF NOT EXISTS idx_tests_team_started ON slack_tests(slack_team_id, started_at);
     `;
     
     try {
@@ -368,9 +2104,61 @@ module.exports = {
     initializeDatabase,
     saveWorkspace,
     getWorkspaceToken,
+    setWorkspaceTeamKey,
+    getWorkspaceTeamKey,
+    deactivateWorkspace,
+    getTestPolicy,
+    saveTestPolicy,
+    getUsageBudget,
+    saveUsageBudget,
+    getMonthlyUsageTests,
+    claimBudgetWarning,
+    setWorkspaceThreadMode,
+    setChannelThreadMode,
+    getThreadMode,
+    ensureWorkspaceTimezone,
+    setChannelDigest,
+    getChannelDigest,
+    claimDueDigests,
+    getDigestStats,
+    getDigestTopTargets,
     linkUser,
     getUserLink,
+    unlinkUser,
+    setDmNotifications,
     saveTest,
+    addTestWatcher,
+    removeTestWatcher,
+    getTestWatchers,
+    saveTestBugs,
+    getUnalertedBugs,
+    setBugAlertTs,
+    getAlertBugs,
+    updateBugTriage,
+    markBugSynced,
     getTestInfo,
-    updateTestStatus
+    getTestHistory,
+    getPreviousCompletedTests,
+    saveTestMessage,
+    recordTestProgress,
+    updateTestStatus,
+    claimWebhookEvent,
+    releaseWebhookEvent,
+    purgeWebhookEvents,
+    enqueueWebhookJob,
+    claimWebhookJobs,
+    saveWebhookJobSteps,
+    completeWebhookJob,
+    retryWebhookJob,
+    deadLetterWebhookJob,
+    getDeadWebhookJobs,
+    replayWebhookJobs,
+    purgeWebhookJobs,
+    createSchedule,
+    getChannelSchedules,
+    getSchedule,
+    deleteSchedule,
+    claimDueSchedules,
+    countStaleSecrets,
+    reencryptSecrets
 };
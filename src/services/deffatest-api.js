@@ -6,8 +6,80 @@
  */
 
 const axios = require('axios');
+const FormData = require('form-data');
+const {
+    DeffatestAPIError,
+    AuthenticationError,
+    QuotaExceededError,
+    ValidationError,
+    NotFoundError,
+    UnavailableError
+} = require('../utils/errors');
 const logger = require('../utils/logger');
 
+// Retries with full jitter: a random wait up to 0.5s, 1s, 2s, ... capped at 5s
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 5000;
+
+// The request never reached the server, so even non-idempotent calls can be retried
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Consecutive outage failures that open a circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN = 30 * 1000;
+
+/**
+ * Circuit breaker for one API base URL
+ * Once open, calls fail fast until the cooldown ends; then a single trial call
+ * is let through and its result closes or re-opens the circuit
+ */
+class CircuitBreaker {
+    constructor() {
+        this.failures = 0;
+        this.openedAt = null;
+    }
+    
+    canRequest() {
+        if (this.openedAt === null) return true;
+        if (Date.now() - this.openedAt < CIRCUIT_COOLDOWN) return false;
+        
+        // Half-open: hold other callers back while the trial call runs
+        this.openedAt = Date.now();
+        return true;
+    }
+    
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+    }
+    
+    recordFailure() {
+        this.failures++;
+        
+        if (this.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+            if (this.openedAt === null) {
+                logger.warn(`Deffatest API circuit opened after ${this.failures} failures`);
+            }
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+// Shared by every client instance, keyed by base URL
+const circuits = new Map();
+
+function getCircuit(baseUrl) {
+    if (!circuits.has(baseUrl)) {
+        circuits.set(baseUrl, new CircuitBreaker());
+    }
+    return circuits.get(baseUrl);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 class DeffatestAPI {
     constructor(apiKey) {
         if (!apiKey) {
@@ -30,15 +102,23 @@ class DeffatestAPI {
     
     /**
      * Verify API key and get user info
+     * @param {Object} [options] - { timeout } in ms, which also turns off retries; for
+     *   callers that must answer Slack within 3s
      */
-    async verifyApiKey() {
+    async verifyApiKey(options = {}) {
         try {
-            const response = await this.client.get('/api/v1/api-keys/verify');
+            const response = await this.request(
+                { method: 'get', url: '/api/v1/api-keys/verify', timeout: options.timeout },
+                { retry: !options.timeout }
+            );
             return {
                 valid: response.data.valid === true,
                 user: response.data.user || response.data.data || {}
             };
         } catch (error) {
+            // An outage says nothing about the key, so let the caller report it
+            if (error instanceof UnavailableError) throw error;
+            
             logger.debug('API key verification failed:', error.message);
             return { valid: false, user: {} };
         }
@@ -51,14 +131,14 @@ class DeffatestAPI {
         const { url, duration, name, metadata } = params;
         
         try {
-            const response = await this.client.post('/api/tests/submit', {
+            const response = await this.request({ method: 'post', url: '/api/tests/submit', data: {
                 name: name || 'Slack Test',
                 test_type: 'web',
                 url: url,
-                duration: this.parseDuration(duration || '2h'),
+                duration: DeffatestAPI.parseDuration(duration || '2h'),
                 source: 'slack',
                 metadata: metadata || {}
-            });
+            } });
             
             return {
                 test_id: response.data.test_id || response.data.data?.test_id,
@@ -66,7 +146,75 @@ class DeffatestAPI {
             };
         } catch (error) {
             logger.error('Test submission failed:', error.message);
-            throw new Error(this.getErrorMessage(error));
+            throw error;
+        }
+    }
+    
+    /**
+     * Submit a game test
+     * Accepts either a build artifact URL or a store listing URL
+     */
+    async submitGameTest(params) {
+        const { url, is_store_url, platform, session_length, input_mode, duration, name, metadata } = params;
+        
+        try {
+            const response = await this.request({ method: 'post', url: '/api/tests/submit', data: {
+                name: name || 'Slack Test',
+                test_type: 'game',
+                [is_store_url ? 'store_url' : 'build_url']: url,
+                platform: platform,
+                session_length: DeffatestAPI.parseDuration(session_length || '15m'),
+                input_mode: input_mode,
+                duration: DeffatestAPI.parseDuration(duration || '2h'),
+                source: 'slack',
+                metadata: metadata || {}
+            } });
+            
+            return {
+                test_id: response.data.test_id || response.data.data?.test_id,
+                success: true
+            };
+        } catch (error) {
+            logger.error('Game test submission failed:', error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Submit a mobile test
+     * Streams the app binary as multipart form data
+     */
+    async submitMobileTest(params) {
+        const { file, filename, size, platform, app_name, duration, name, metadata } = params;
+        
+        const form = new FormData();
+        form.append('name', name || 'Slack Test');
+        form.append('test_type', 'mobile');
+        form.append('platform', platform);
+        form.append('app_name', app_name || filename);
+        form.append('duration', String(DeffatestAPI.parseDuration(duration || '2h')));
+        form.append('source', 'slack');
+        form.append('metadata', JSON.stringify(metadata || {}));
+        form.append('file', file, { filename, knownLength: size });
+        
+        try {
+            // The upload stream can only be sent once, so it is never retried
+            const response = await this.request({
+                method: 'post',
+                url: '/api/tests/submit',
+                data: form,
+                headers: form.getHeaders(),
+                maxBodyLength: Infinity,
+                timeout: 10 * 60 * 1000 // Large uploads take longer than API calls
+            }, { retry: false });
+            
+            return {
+                test_id: response.data.test_id || response.data.data?.test_id,
+                success: true
+            };
+        } catch (error) {
+            logger.error('Mobile test submission failed:', error.message);
+            throw error;
         }
     }
     
@@ -75,7 +223,7 @@ class DeffatestAPI {
      */
     async getTestStatus(testId) {
         try {
-            const response = await this.client.get(`/api/tests/${testId}/status`);
+            const response = await this.request({ method: 'get', url: `/api/tests/${testId}/status` });
             const data = response.data.data || response.data;
             
             return {
@@ -83,6 +231,11 @@ class DeffatestAPI {
                 status: data.status,
                 progress: data.progress || 0,
                 test_type: data.test_type || 'web',
+                url: data.url,
+                app_name: data.app_name,
+                platform: data.platform,
+                session_length: data.session_length,
+                input_mode: data.input_mode,
                 duration: data.duration,
                 started_at: data.started_at,
                 bugs: data.bugs || {
@@ -94,14 +247,149 @@ class DeffatestAPI {
             };
         } catch (error) {
             logger.error('Failed to get test status:', error.message);
-            throw new Error(this.getErrorMessage(error));
+            throw error;
+        }
+    }
+    
+    /**
+     * Cancel a running test
+     */
+    async cancelTest(testId) {
+        try {
+            const response = await this.request({ method: 'post', url: `/api/tests/${testId}/cancel` });
+            const data = response.data.data || response.data;
+            
+            return {
+                test_id: testId,
+                status: data.status || 'cancelled',
+                success: true
+            };
+        } catch (error) {
+            logger.error('Failed to cancel test:', error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the individual bugs found by a test
+     * @param {Array<string>} [severities] - Only return bugs of these severities
+     */
+    async getTestBugs(testId, severities) {
+        try {
+            const response = await this.request({
+                method: 'get',
+                url: `/api/tests/${testId}/bugs`,
+                params: severities ? { severity: severities.join(',') } : undefined
+            });
+            const data = response.data.data || response.data;
+            const bugs = Array.isArray(data) ? data : data.bugs || [];
+            
+            return bugs.map(bug => ({
+                bug_id: String(bug.bug_id || bug.id),
+                severity: bug.severity,
+                title: bug.title || bug.description || 'Untitled bug'
+            }));
+        } catch (error) {
+            logger.error('Failed to get test bugs:', error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Update a bug's triage state
+     * @param {Object} triage - { status, assignee_email, triaged_by_email }
+     */
+    async updateBugTriage(testId, bugId, triage) {
+        try {
+            await this.request({
+                method: 'patch',
+                url: `/api/tests/${testId}/bugs/${bugId}/triage`,
+                data: {
+                    status: triage.status,
+                    assignee_email: triage.assignee_email || null,
+                    triaged_by_email: triage.triaged_by_email || null,
+                    source: 'slack'
+                }
+            });
+            
+            return { success: true };
+        } catch (error) {
+            logger.error('Failed to update bug triage:', error.message);
+            throw error;
+        }
+    }
+    
+    /**
+     * Send a request through the circuit breaker, retrying transient failures
+     * GETs are retried on network errors, 5xx and 429; other methods only when
+     * the connection itself failed, so a submission is never sent twice
+     * @param {Object} config - axios request config
+     * @param {Object} [options] - { retry: false } to never retry
+     * @throws {DeffatestAPIError} - Typed error from ../utils/errors
+     */
+    async request(config, options = {}) {
+        const circuit = getCircuit(this.baseUrl);
+        const idempotent = config.method === 'get';
+        
+        for (let attempt = 0; ; attempt++) {
+            if (!circuit.canRequest()) {
+                throw new UnavailableError('Deffatest is temporarily unavailable');
+            }
+            
+            try {
+                const response = await this.client.request(config);
+                circuit.recordSuccess();
+                return response;
+            } catch (error) {
+                const apiError = this.toApiError(error);
+                
+                // Only outages count against the circuit; a 4xx means the API is up
+                if (apiError instanceof UnavailableError) {
+                    circuit.recordFailure();
+                } else {
+                    circuit.recordSuccess();
+                }
+                
+                const retryable = options.retry !== false && (idempotent
+                    ? apiError instanceof UnavailableError || error.response?.status === 429
+                    : CONNECTION_ERRORS.includes(error.code));
+                
+                if (!retryable || attempt >= MAX_RETRIES) {
+                    throw apiError;
+                }
+                
+                const delay = Math.random() * Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+                logger.debug(`Retrying ${config.method.toUpperCase()} ${config.url} in ${Math.round(delay)}ms:`, error.message);
+                await sleep(delay);
+            }
         }
     }
     
+    /**
+     * Convert an axios error to a typed API error
+     */
+    toApiError(error) {
+        const status = error.response?.status;
+        const message = this.getErrorMessage(error);
+        
+        if (!error.response) {
+            return new UnavailableError(`Could not reach Deffatest: ${message}`);
+        }
+        
+        if (status === 401 || status === 403) return new AuthenticationError(message, status);
+        if (status === 402 || status === 429) return new QuotaExceededError(message, status);
+        if (status === 400 || status === 422) return new ValidationError(message, status);
+        if (status === 404) return new NotFoundError(message, status);
+        if (status >= 500) return new UnavailableError(message, status);
+        
+        return new DeffatestAPIError(message, { status });
+    }
+    
     /**
      * Parse duration string to minutes
+     * Static so usage budgets count minutes the same way tests are submitted
      */
-    parseDuration(duration) {
+    static parseDuration(duration) {
         const match = duration.match(/^(\d+)(m|h)$/);
         if (!match) return 120; // Default 2 hours
         
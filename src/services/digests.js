@@ -0,0 +1,72 @@
+/**
+ * Digest Service
+ * Builds the daily or weekly test summary that channels opt in to
+ */
+
+const { getDigestStats, getDigestTopTargets } = require('./database');
+const { buildDigestBlock } = require('../utils/blocks');
+const logger = require('../utils/logger');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const PERIOD_DAYS = {
+    daily: 1,
+    weekly: 7
+};
+
+// Local time digests are posted at (HH:MM in the workspace timezone); weekly ones go out on Mondays
+const DIGEST_TIME = /^([01]?\d|2[0-3]):[0-5]\d$/.test(process.env.DIGEST_TIME || '') ? process.env.DIGEST_TIME : '09:00';
+
+/**
+ * Get the cron expression a digest runs on
+ */
+function getDigestCron(frequency) {
+    const [hour, minute] = DIGEST_TIME.split(':').map(value => parseInt(value));
+    
+    return frequency === 'weekly'
+        ? `${minute} ${hour} * * 1`
+        : `${minute} ${hour} * * *`;
+}
+
+/**
+ * Build a channel's digest for the period ending at `until`
+ * The previous period of the same length is loaded for the trend
+ */
+async function buildChannelDigest(teamId, channelId, frequency, until = new Date()) {
+    const periodMs = PERIOD_DAYS[frequency] * 24 * 60 * 60 * 1000;
+    const since = new Date(until.getTime() - periodMs);
+    const previousSince = new Date(since.getTime() - periodMs);
+    
+    const [current, previous, topTargets] = await Promise.all([
+        getDigestStats(teamId, channelId, since, until),
+        getDigestStats(teamId, channelId, previousSince, since),
+        getDigestTopTargets(teamId, channelId, since, until)
+    ]);
+    
+    return buildDigestBlock({ frequency, since, until, current, previous, topTargets });
+}
+
+/**
+ * Post a channel's digest
+ * @param {Object} digest - Claimed digest row { team_id, channel_id, digest_frequency }
+ */
+async function postChannelDigest(client, digest) {
+    const { team_id, channel_id, digest_frequency } = digest;
+    
+    const blocks = await buildChannelDigest(team_id, channel_id, digest_frequency);
+    
+    await client.chat.postMessage({
+        channel: channel_id,
+        text: `Your ${digest_frequency} Deffatest digest`,
+        blocks
+    });
+    
+    logger.info(`Digest posted: ${digest_frequency} for ${team_id}/${channel_id}`);
+}
+
+module.exports = {
+    DIGEST_FREQUENCIES,
+    DIGEST_TIME,
+    getDigestCron,
+    postChannelDigest
+};
@@ -0,0 +1,100 @@
+/**
+ * Game Test Service
+ * Validates game-specific options for tests started from Slack
+ */
+
+// Target platforms for game builds
+const GAME_PLATFORMS = ['windows', 'macos', 'linux', 'android', 'ios', 'webgl'];
+
+// Input modes the game tester can simulate
+const INPUT_MODES = ['keyboard', 'gamepad', 'touch'];
+
+// Store pages are tested from the listing, everything else is a build artifact
+const STORE_HOSTS = [
+    'play.google.com',
+    'apps.apple.com',
+    'store.steampowered.com',
+    'itch.io'
+];
+
+const DEFAULT_SESSION_LENGTH = '15m';
+
+/**
+ * Pick a sensible input mode for a platform
+ */
+function getDefaultInputMode(platform) {
+    return ['android', 'ios'].includes(platform) ? 'touch' : 'keyboard';
+}
+
+/**
+ * Convert a duration string (e.g. 15m, 2h) to minutes
+ */
+function toMinutes(duration) {
+    const match = (duration || '').match(/^(\d+)(m|h)$/);
+    if (!match) return null;
+    
+    const value = parseInt(match[1]);
+    return match[2] === 'h' ? value * 60 : value;
+}
+
+/**
+ * Check whether a URL points at a store listing rather than a build artifact
+ */
+function isStoreUrl(url) {
+    const host = new URL(url).hostname.toLowerCase();
+    return STORE_HOSTS.some(storeHost => host === storeHost || host.endsWith(`.${storeHost}`));
+}
+
+/**
+ * Validate and normalize game test options
+ * @param {Object} args - Parsed command arguments (platform, session, input, duration)
+ * @returns {Object} - { error, field } or { options: { platform, session_length, input_mode } }
+ */
+function validateGameOptions(args) {
+    const platform = (args.platform || '').toLowerCase();
+    
+    if (!platform) {
+        return { field: 'platform', error: `Please choose a target platform (${GAME_PLATFORMS.join(', ')})` };
+    }
+    
+    if (!GAME_PLATFORMS.includes(platform)) {
+        return { field: 'platform', error: `Unsupported platform "${args.platform}". Use one of: ${GAME_PLATFORMS.join(', ')}` };
+    }
+    
+    const sessionLength = args.session || DEFAULT_SESSION_LENGTH;
+    
+    if (!/^\d+(m|h)$/.test(sessionLength)) {
+        return { field: 'session', error: `Invalid session length "${sessionLength}". Use minutes or hours, e.g. 15m or 1h` };
+    }
+    
+    const testMinutes = toMinutes(args.duration || '2h');
+    if (testMinutes && toMinutes(sessionLength) > testMinutes) {
+        return { field: 'session', error: 'Session length cannot be longer than the test duration' };
+    }
+    
+    const inputMode = (args.input || getDefaultInputMode(platform)).toLowerCase();
+    
+    if (!INPUT_MODES.includes(inputMode)) {
+        return { field: 'input', error: `Unsupported input mode "${args.input}". Use one of: ${INPUT_MODES.join(', ')}` };
+    }
+    
+    if (inputMode === 'touch' && !['android', 'ios'].includes(platform)) {
+        return { field: 'input', error: 'Touch input is only available for android and ios builds' };
+    }
+    
+    return {
+        options: {
+            platform,
+            session_length: sessionLength,
+            input_mode: inputMode
+        }
+    };
+}
+
+module.exports = {
+    GAME_PLATFORMS,
+    INPUT_MODES,
+    toMinutes,
+    isStoreUrl,
+    validateGameOptions
+};
@@ -0,0 +1,151 @@
+/**
+ * Mobile Test Service
+ * Submits APK/IPA files shared in Slack as Deffatest mobile tests
+ *
+ * SECURITY:
+ * - Files are downloaded with the workspace bot token, never made public
+ * - File type and size are checked before anything is downloaded
+ */
+
+const axios = require('axios');
+const DeffatestAPI = require('./deffatest-api');
+const { getWorkspaceToken, saveTest } = require('./database');
+const { checkBudget, warnOnBudgetUsage } = require('./budgets');
+const logger = require('../utils/logger');
+
+// Supported app binaries by file extension
+const MOBILE_PLATFORMS = {
+    apk: 'android',
+    ipa: 'ios'
+};
+
+const DEFAULT_MAX_UPLOAD_MB = 200;
+
+/**
+ * Get maximum upload size in bytes
+ */
+function getMaxUploadBytes() {
+    const maxMb = parseInt(process.env.MAX_MOBILE_UPLOAD_MB) || DEFAULT_MAX_UPLOAD_MB;
+    return maxMb * 1024 * 1024;
+}
+
+/**
+ * Get platform for a file name, or null if it is not an app binary
+ */
+function getPlatform(filename) {
+    const extension = (filename || '').split('.').pop().toLowerCase();
+    return MOBILE_PLATFORMS[extension] || null;
+}
+
+/**
+ * Check that a Slack file is an app binary we can upload
+ * @param {Object} file - Slack file object (name, size)
+ * @returns {string|null} - Error message, or null if the file is valid
+ */
+function validateMobileFile(file) {
+    if (!file) {
+        return 'Please attach an APK or IPA file';
+    }
+    
+    if (!getPlatform(file.name)) {
+        return 'Only .apk (Android) and .ipa (iOS) files are supported';
+    }
+    
+    const maxBytes = getMaxUploadBytes();
+    if (file.size > maxBytes) {
+        return `File is too large (max ${Math.round(maxBytes / 1024 / 1024)} MB)`;
+    }
+    
+    return null;
+}
+
+/**
+ * Download a private Slack file as a stream
+ */
+async function downloadSlackFile(url, botToken) {
+    const response = await axios.get(url, {
+        headers: { 'Authorization': `Bearer ${botToken}` },
+        responseType: 'stream',
+        maxContentLength: getMaxUploadBytes(),
+        timeout: 60000
+    });
+    
+    return response.data;
+}
+
+/**
+ * Start a mobile test from a file shared in Slack
+ * @returns {Object} - { test_id, app_name, platform }
+ */
+async function startMobileTest(params) {
+    const { client, fileId, userLink, teamId, userId, channelId, duration, previousTestId } = params;
+    
+    // Fetch full file info (shared file objects may be partial)
+    const { file } = await client.files.info({ file: fileId });
+    
+    const validationError = validateMobileFile(file);
+    if (validationError) {
+        throw new Error(validationError);
+    }
+    
+    const workspace = await getWorkspaceToken(teamId);
+    if (!workspace) {
+        throw new Error('Workspace not authorized');
+    }
+    
+    // Before the download, so a blocked test doesn't fetch the binary
+    await checkBudget(teamId, duration || '2h');
+    
+    const platform = getPlatform(file.name);
+    const appName = file.name.replace(/\.(apk|ipa)$/i, '');
+    
+    const stream = await downloadSlackFile(file.url_private_download, workspace.bot_token);
+    
+    const api = new DeffatestAPI(userLink.api_key);
+    const result = await api.submitMobileTest({
+        file: stream,
+        filename: file.name,
+        size: file.size,
+        platform,
+        app_name: appName,
+        duration: duration || '2h',
+        name: `Slack: ${appName}`,
+        metadata: {
+            slack_team_id: teamId,
+            slack_user_id: userId,
+            slack_channel_id: channelId,
+            source: 'slack',
+            credential: userLink.is_team_key ? 'team_key' : 'user_key'
+        }
+    });
+    
+    await saveTest({
+        test_id: result.test_id,
+        slack_team_id: teamId,
+        slack_user_id: userId,
+        slack_channel_id: channelId,
+        test_type: 'mobile',
+        url: null,
+        duration: duration || '2h',
+        app_name: appName,
+        platform,
+        slack_file_id: fileId,
+        previous_test_id: previousTestId
+    });
+    
+    logger.info(`Mobile test submitted: ${result.test_id} by ${userId}`);
+    
+    await warnOnBudgetUsage(teamId);
+    
+    return {
+        test_id: result.test_id,
+        app_name: appName,
+        platform
+    };
+}
+
+module.exports = {
+    getPlatform,
+    validateMobileFile,
+    startMobileTest
+};
@@ -0,0 +1,86 @@
+/**
+ * Permissions Service
+ * Checks what a Slack user is allowed to do in their workspace
+ */
+
+const { getTestPolicy } = require('./database');
+const { toMinutes } = require('./game-tests');
+const { checkTargetUrl } = require('./url-policy');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a user is a workspace admin or owner
+ * SECURITY: Fails closed if Slack can't be reached
+ */
+async function isWorkspaceAdmin(client, userId) {
+    try {
+        const { user } = await client.users.info({ user: userId });
+        return user?.is_admin === true || user?.is_owner === true;
+    } catch (error) {
+        logger.error('Failed to check admin status:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Check whether a user is on a policy allow-list, directly or through a user group
+ * SECURITY: A group that can't be read (e.g. missing usergroups:read) doesn't match
+ */
+async function isOnAllowList(client, userId, allowedUsers) {
+    if (allowedUsers.includes(userId)) return true;
+    
+    for (const usergroup of allowedUsers.filter(id => id.startsWith('S'))) {
+        try {
+            const { users } = await client.usergroups.users.list({ usergroup });
+            if (users?.includes(userId)) return true;
+        } catch (error) {
+            logger.error(`Failed to read user group ${usergroup}:`, error.message);
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Check a test action against the workspace test policy
+ * Admins may always start tests; when the allow-list is empty, so may everyone else.
+ * The channel, duration and target URL are only checked when given (cancelling checks none);
+ * the URL rules apply to admins too.
+ * @param {Object} params - { client, teamId, userId, channelId, duration, url, testType }
+ * @returns {Object} - { error, field } with a user-facing reason and the field it concerns
+ *   (channel, duration, url, or none for the allow-list), or {} if allowed
+ */
+async function checkTestPolicy(params) {
+    const { client, teamId, userId, channelId, duration, url, testType } = params;
+    
+    const policy = await getTestPolicy(teamId);
+    const isAdmin = await isWorkspaceAdmin(client, userId);
+    
+    if (!isAdmin && policy.allowed_users.length > 0 && !await isOnAllowList(client, userId, policy.allowed_users)) {
+        return { error: '🔒 Only workspace admins and people on the test allow-list can run tests in this workspace. Ask a workspace admin to add you.' };
+    }
+    
+    if (channelId && policy.allowed_channels.length > 0 && !policy.allowed_channels.includes(channelId)) {
+        const channels = policy.allowed_channels.map(id => `<#${id}>`).join(', ');
+        return { field: 'channel', error: `🔒 Tests can't be started in this channel. Use one of: ${channels}` };
+    }
+    
+    const role = isAdmin ? 'admin' : 'member';
+    const maxDuration = policy.max_duration[role];
+    
+    if (duration && maxDuration && toMinutes(duration) > toMinutes(maxDuration)) {
+        return { field: 'duration', error: `🔒 Tests started by ${isAdmin ? 'admins' : 'members'} can run for at most ${maxDuration}. Choose a shorter duration.` };
+    }
+    
+    if (url) {
+        const { error } = await checkTargetUrl(url, policy, testType);
+        if (error) return { field: 'url', error };
+    }
+    
+    return {};
+}
+
+module.exports = {
+    isWorkspaceAdmin,
+    checkTestPolicy
+};
@@ -0,0 +1,63 @@
+/**
+ * Regression Service
+ * Compares a finished test's bugs with the previous completed run of the same target
+ */
+
+const { getPreviousCompletedTests } = require('./database');
+const { toMinutes } = require('./game-tests');
+const logger = require('../utils/logger');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Runs are comparable when one duration is at most this many times the other
+const MAX_DURATION_RATIO = 2;
+
+/**
+ * Check whether two test durations are close enough to compare bug counts
+ */
+function isSimilarDuration(a, b) {
+    const minutesA = toMinutes(a);
+    const minutesB = toMinutes(b);
+    
+    if (!minutesA || !minutesB) return a === b;
+    
+    return Math.max(minutesA, minutesB) / Math.min(minutesA, minutesB) <= MAX_DURATION_RATIO;
+}
+
+/**
+ * Compare a completed test with its previous comparable run
+ * @param {Object} testInfo - Test from getTestInfo
+ * @param {Object} bugs - Final bug counts of the test
+ * @returns {Object|null} - { previous_test_id, delta, verdict } or null if there is no earlier run
+ */
+async function compareWithPreviousRun(testInfo, bugs) {
+    try {
+        const candidates = await getPreviousCompletedTests(testInfo);
+        const previous = candidates.find(test => isSimilarDuration(test.duration, testInfo.duration));
+        
+        if (!previous) return null;
+        
+        const delta = {};
+        for (const severity of SEVERITIES) {
+            delta[severity] = (bugs?.[severity] || 0) - (previous[`bugs_${severity}`] || 0);
+        }
+        
+        // The most severe level that changed decides the verdict
+        const changed = SEVERITIES.find(severity => delta[severity] !== 0);
+        const verdict = !changed ? 'unchanged' : delta[changed] > 0 ? 'regression' : 'improved';
+        
+        return {
+            previous_test_id: previous.test_id,
+            delta,
+            verdict
+        };
+    } catch (error) {
+        // The verdict still goes out without a comparison
+        logger.warn(`Could not compare test ${testInfo.test_id} with its previous run:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    compareWithPreviousRun
+};
@@ -0,0 +1,207 @@
+/**
+ * Scheduler Service
+ * Runs recurring tests created with /deffatest schedule and posts channel digests
+ *
+ * Every instance polls the same table; due rows are claimed with
+ * SELECT ... FOR UPDATE SKIP LOCKED, so a run fires once no matter how many
+ * instances are up, and schedules survive restarts because they live in Postgres.
+ */
+
+const { WebClient } = require('@slack/web-api');
+const cronParser = require('cron-parser');
+const {
+    claimDueSchedules,
+    claimDueDigests,
+    getWorkspaceToken,
+    getUserLink
+} = require('./database');
+const { getDigestCron, postChannelDigest } = require('./digests');
+const { validateTestParams, submitTest, postTestStartedMessage } = require('./test-submission');
+const { checkTestPolicy } = require('./permissions');
+const { buildTestStartedBlock, buildErrorBlock } = require('../utils/blocks');
+const { BudgetExceededError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL = 60 * 1000; // 1 minute
+
+// Shortest allowed gap between runs of one schedule
+const MIN_INTERVAL_MINUTES = 60;
+
+let timer = null;
+
+/**
+ * Get the next run of a cron expression after a date
+ * @throws {Error} - If the expression or timezone is invalid
+ */
+function getNextRun(cron, timezone, from = new Date()) {
+    const interval = cronParser.parseExpression(cron, {
+        currentDate: from,
+        tz: timezone || 'UTC'
+    });
+    
+    return interval.next().toDate();
+}
+
+/**
+ * Validate a cron expression for a new schedule
+ * @returns {string|null} - User-facing error, or null if valid
+ */
+function validateCron(cron, timezone) {
+    if (!cron || cron.trim().split(/\s+/).length !== 5) {
+        return 'Please provide a 5-field cron expression, e.g. `--cron "0 2 * * *"` for every day at 02:00';
+    }
+    
+    let interval;
+    try {
+        interval = cronParser.parseExpression(cron, { tz: timezone || 'UTC' });
+    } catch {
+        return `Invalid cron expression "${cron}"`;
+    }
+    
+    // Check the next few gaps; uneven expressions like "0 1,2 * * *" only show up here
+    let previous = interval.next().getTime();
+    for (let i = 0; i < 5; i++) {
+        const next = interval.next().getTime();
+        
+        if (next - previous < MIN_INTERVAL_MINUTES * 60 * 1000) {
+            return `Schedules can run at most once every ${MIN_INTERVAL_MINUTES} minutes`;
+        }
+        
+        previous = next;
+    }
+    
+    return null;
+}
+
+/**
+ * Start one scheduled run
+ */
+async function runSchedule(schedule) {
+    const { id, team_id, channel_id, user_id, url, duration } = schedule;
+    
+    const workspace = await getWorkspaceToken(team_id);
+    
+    if (!workspace) {
+        logger.warn(`Skipping schedule ${id}: workspace ${team_id} is not active`);
+        return;
+    }
+    
+    const client = new WebClient(workspace.bot_token);
+    const userLink = await getUserLink(user_id, team_id);
+    
+    if (!userLink) {
+        await client.chat.postMessage({
+            channel: channel_id,
+            text: 'Scheduled test skipped',
+            blocks: buildErrorBlock(`Scheduled test #${id} for ${url} was skipped because <@${user_id}> no longer has a linked Deffatest account.`)
+        });
+        return;
+    }
+    
+    const { errors } = validateTestParams({ test_type: 'web', url, duration });
+    
+    if (errors) {
+        logger.warn(`Skipping schedule ${id}: ${Object.values(errors).join(', ')}`);
+        return;
+    }
+    
+    // The policy may have changed since the schedule was created
+    const { error: policyError } = await checkTestPolicy({ client, teamId: team_id, userId: user_id, channelId: channel_id, duration, url, testType: 'web' });
+    
+    if (policyError) {
+        await client.chat.postMessage({
+            channel: channel_id,
+            text: 'Scheduled test skipped',
+            blocks: buildErrorBlock(`Scheduled test #${id} for ${url} by <@${user_id}> was skipped:\n${policyError}`)
+        });
+        return;
+    }
+    
+    let result;
+    
+    try {
+        result = await submitTest({
+            userLink,
+            team_id,
+            user_id,
+            channel_id,
+            test_type: 'web',
+            url,
+            duration,
+            name: `Scheduled: ${url}`
+        });
+    } catch (error) {
+        if (!(error instanceof BudgetExceededError)) throw error;
+        
+        await client.chat.postMessage({
+            channel: channel_id,
+            text: 'Scheduled test skipped',
+            blocks: buildErrorBlock(`Scheduled test #${id} for ${url} was skipped: ${error.message}`)
+        });
+        return;
+    }
+    
+    const blocks = buildTestStartedBlock(result.test_id, url, duration, result.details);
+    await postTestStartedMessage(client, result.test_id, channel_id, blocks);
+    
+    logger.info(`Scheduled test started: ${result.test_id} (schedule ${id})`);
+}
+
+/**
+ * Claim and run every schedule that is due
+ */
+async function runDueSchedules() {
+    // Each claim advances next_run_at first, so a crash mid-run skips a run instead of repeating it
+    const schedules = await claimDueSchedules(schedule => getNextRun(schedule.cron, schedule.timezone));
+    
+    for (const schedule of schedules) {
+        try {
+            await runSchedule(schedule);
+        } catch (error) {
+            logger.error(`Scheduled test ${schedule.id} failed:`, error.message);
+        }
+    }
+}
+
+/**
+ * Claim and post every channel digest that is due
+ */
+async function runDueDigests() {
+    const digests = await claimDueDigests(digest => getNextRun(getDigestCron(digest.digest_frequency), digest.timezone));
+    
+    for (const digest of digests) {
+        try {
+            const workspace = await getWorkspaceToken(digest.team_id);
+            
+            if (!workspace) continue;
+            
+            await postChannelDigest(new WebClient(workspace.bot_token), digest);
+        } catch (error) {
+            logger.error(`Digest for ${digest.team_id}/${digest.channel_id} failed:`, error.message);
+        }
+    }
+}
+
+/**
+ * Start polling for due schedules and digests
+ */
+function startScheduler() {
+    if (timer) return;
+    
+    timer = setInterval(() => {
+        runDueSchedules().catch(error => {
+            logger.error('Scheduler error:', error.message);
+        });
+        runDueDigests().catch(error => {
+            logger.error('Digest scheduler error:', error.message);
+        });
+    }, POLL_INTERVAL);
+    
+    logger.info('Test scheduler started');
+}
+
+module.exports = {
+    getNextRun,
+    validateCron,
+    startScheduler
+};
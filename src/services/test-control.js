@@ -0,0 +1,224 @@
+/**
+ * Test Control Service
+ * Actions on tests that are already running (shared by buttons and slash commands)
+ */
+
+const DeffatestAPI = require('./deffatest-api');
+const { 
+    getTestInfo, 
+    getUserLink, 
+    updateTestStatus,
+    addTestWatcher,
+    removeTestWatcher
+} = require('./database');
+const { isWorkspaceAdmin, checkTestPolicy } = require('./permissions');
+const { startMobileTest } = require('./mobile-tests');
+const { publishHomeView } = require('./app-home');
+const { submitTest, postTestStartedMessage } = require('./test-submission');
+const { buildTestStartedBlock, buildTestCancelledBlock } = require('../utils/blocks');
+const logger = require('../utils/logger');
+
+/**
+ * Cancel a running test
+ * Only the user who started the test or a workspace admin may cancel it
+ * @returns {Object} - { error } with a user-facing reason, or { testInfo } on success
+ */
+async function cancelTestRun(params) {
+    const { client, testId, userId, teamId } = params;
+    
+    const testInfo = await getTestInfo(testId);
+    
+    // SECURITY: Tests from other workspaces are treated as unknown
+    if (!testInfo || testInfo.slack_team_id !== teamId) {
+        return { error: `Test \`${testId}\` was not found.` };
+    }
+    
+    if (testInfo.status !== 'running') {
+        return { error: `Test \`${testId}\` is already ${testInfo.status} and can't be cancelled.` };
+    }
+    
+    if (testInfo.slack_user_id !== userId && !await isWorkspaceAdmin(client, userId)) {
+        return { error: 'Only the person who started this test or a workspace admin can cancel it.' };
+    }
+    
+    const { error: policyError } = await checkTestPolicy({ client, teamId, userId });
+    if (policyError) {
+        return { error: policyError };
+    }
+    
+    // The test belongs to the initiator's Deffatest account, so prefer their key
+    const userLink = await getUserLink(testInfo.slack_user_id, teamId) || await getUserLink(userId, teamId);
+    
+    if (!userLink) {
+        return { error: 'No linked Deffatest account can cancel this test. Please link your account first.' };
+    }
+    
+    const api = new DeffatestAPI(userLink.api_key);
+    await api.cancelTest(testId);
+    
+    // A completion webhook may have landed while the cancel request was in flight
+    if (!await updateTestStatus(testId, 'cancelled', testInfo.bugs)) {
+        return { error: `Test \`${testId}\` finished before it could be cancelled.` };
+    }
+    
+    // Show who cancelled on the original "Test started" message
+    if (testInfo.message_ts) {
+        try {
+            await client.chat.update({
+                channel: testInfo.slack_channel_id,
+                ts: testInfo.message_ts,
+                text: 'Test cancelled',
+                blocks: buildTestCancelledBlock(testInfo, userId)
+            });
+        } catch (error) {
+            logger.warn(`Could not update message for cancelled test ${testId}:`, error.message);
+        }
+    }
+    
+    await publishHomeView(client, teamId, testInfo.slack_user_id);
+    
+    logger.info(`Test cancelled: ${testId} by ${userId}`);
+    
+    return { testInfo };
+}
+
+/**
+ * Re-run a finished test with its stored settings
+ * Uses the clicking user's own linked account, and posts the new "Test started"
+ * message in the thread of the message the button was clicked on
+ * @returns {Object} - { error }, { authRequired }, or { testId } on success
+ */
+async function rerunTest(params) {
+    const { client, testId, userId, teamId, channelId, threadTs } = params;
+    
+    const previous = await getTestInfo(testId);
+    
+    // SECURITY: Tests from other workspaces are treated as unknown
+    if (!previous || previous.slack_team_id !== teamId) {
+        return { error: `Test \`${testId}\` was not found.` };
+    }
+    
+    const userLink = await getUserLink(userId, teamId);
+    
+    if (!userLink) {
+        return { authRequired: true };
+    }
+    
+    // The re-run is a new test by this user, in this channel; its target is checked again
+    // since the domain policy may have changed since the original run
+    const { error: policyError } = await checkTestPolicy({
+        client,
+        teamId,
+        userId,
+        channelId,
+        duration: previous.duration,
+        url: previous.test_type === 'mobile' ? null : previous.url,
+        testType: previous.test_type
+    });
+    if (policyError) {
+        return { error: policyError };
+    }
+    
+    let newTestId;
+    let details;
+    
+    if (previous.test_type === 'mobile') {
+        if (!previous.slack_file_id) {
+            return { error: 'The app file for this test is no longer available. Please upload it again.' };
+        }
+        
+        const result = await startMobileTest({
+            client,
+            fileId: previous.slack_file_id,
+            userLink,
+            teamId,
+            userId,
+            channelId,
+            duration: previous.duration,
+            previousTestId: testId
+        });
+        
+        newTestId = result.test_id;
+        details = { test_type: 'mobile', app_name: result.app_name, platform: result.platform };
+    } else {
+        const gameOptions = previous.test_type === 'game'
+            ? {
+                platform: previous.platform,
+                session_length: previous.session_length,
+                input_mode: previous.input_mode
+            }
+            : null;
+        
+        const result = await submitTest({
+            userLink,
+            team_id: teamId,
+            user_id: userId,
+            channel_id: channelId,
+            test_type: previous.test_type,
+            url: previous.url,
+            duration: previous.duration,
+            gameOptions,
+            previous_test_id: testId
+        });
+        
+        newTestId = result.test_id;
+        details = result.details;
+    }
+    
+    const blocks = buildTestStartedBlock(newTestId, previous.url, previous.duration, details);
+    await postTestStartedMessage(client, newTestId, channelId, blocks, threadTs);
+    
+    logger.info(`Test re-run: ${testId} -> ${newTestId} by ${userId}`);
+    
+    return { testId: newTestId };
+}
+
+/**
+ * Subscribe a user to a test's completion and failure DMs
+ * @returns {Object} - { error } or { message } to show the user
+ */
+async function watchTest(params) {
+    const { testId, userId, teamId } = params;
+    
+    const testInfo = await getTestInfo(testId);
+    
+    // SECURITY: Tests from other workspaces are treated as unknown
+    if (!testInfo || testInfo.slack_team_id !== teamId) {
+        return { error: `Test \`${testId}\` was not found.` };
+    }
+    
+    if (testInfo.status !== 'running') {
+        return { error: `Test \`${testId}\` has already ${testInfo.status === 'cancelled' ? 'been cancelled' : testInfo.status}.` };
+    }
+    
+    const added = await addTestWatcher(testId, teamId, userId);
+    
+    return {
+        message: added
+            ? `🔔 You'll get a DM when test \`${testId}\` finishes.`
+            : `You're already watching test \`${testId}\`.`
+    };
+}
+
+/**
+ * Unsubscribe a user from a test's DMs
+ * @returns {Object} - { message } to show the user
+ */
+async function unwatchTest(params) {
+    const { testId, userId, teamId } = params;
+    
+    const removed = await removeTestWatcher(testId, teamId, userId);
+    
+    return {
+        message: removed
+            ? `🔕 You won't get DMs about test \`${testId}\` anymore.`
+            : `You weren't watching test \`${testId}\`, so nothing changed.`
+    };
+}
+
+module.exports = {
+    cancelTestRun,
+    rerunTest,
+    watchTest,
+    unwatchTest
+};
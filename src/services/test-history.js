@@ -0,0 +1,42 @@
+/**
+ * Test History Service
+ * Pages of a channel's test history, shared by /deffatest-history and its paging buttons
+ */
+
+const { getTestHistory } = require('./database');
+const { buildHistoryBlock } = require('../utils/blocks');
+
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Build one page of test history for a channel
+ * @param {Object} state - Filters and page carried by the paging buttons
+ */
+async function buildHistoryMessage(teamId, channelId, state) {
+    const page = Math.max(0, parseInt(state.page) || 0);
+    
+    // Fetch one extra row to know whether there is a next page
+    const rows = await getTestHistory({
+        teamId,
+        channelId,
+        userId: state.user,
+        status: state.status,
+        url: state.url,
+        since: state.since,
+        limit: HISTORY_PAGE_SIZE + 1,
+        offset: page * HISTORY_PAGE_SIZE
+    });
+    
+    return {
+        text: 'Test History',
+        blocks: buildHistoryBlock(rows.slice(0, HISTORY_PAGE_SIZE), {
+            page,
+            hasNext: rows.length > HISTORY_PAGE_SIZE,
+            state
+        })
+    };
+}
+
+module.exports = {
+    buildHistoryMessage
+};
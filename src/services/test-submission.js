@@ -0,0 +1,170 @@
+/**
+ * Test Submission Service
+ * Single submission path for web and game tests started from slash commands and modals
+ */
+
+const DeffatestAPI = require('./deffatest-api');
+const { saveTest, saveTestMessage } = require('./database');
+const { isStoreUrl, validateGameOptions } = require('./game-tests');
+const { checkBudget, warnOnBudgetUsage } = require('./budgets');
+const logger = require('../utils/logger');
+
+const TEST_TYPES = ['web', 'mobile', 'game'];
+
+const DEFAULT_DURATION = '2h';
+
+/**
+ * Validate test parameters
+ * Mobile tests only get type and duration checks here; their file is checked on upload
+ * @param {Object} params - { test_type, url, duration, platform, session, input }
+ * @returns {Object} - { errors } keyed by field (test_type, url, duration, platform, session, input),
+ *                     or { gameOptions } when valid
+ */
+function validateTestParams(params) {
+    const testType = params.test_type || 'web';
+    const duration = params.duration || DEFAULT_DURATION;
+    const errors = {};
+    
+    if (!TEST_TYPES.includes(testType)) {
+        errors.test_type = `Unknown test type "${testType}". Use one of: ${TEST_TYPES.join(', ')}`;
+        return { errors };
+    }
+    
+    if (!/^\d+(m|h)$/.test(duration)) {
+        errors.duration = `Invalid duration "${duration}". Use minutes or hours, e.g. 30m or 2h`;
+    }
+    
+    if (testType !== 'mobile') {
+        if (!params.url) {
+            errors.url = 'Please provide a URL (e.g., https://myapp.com)';
+        } else if (!isValidUrl(params.url)) {
+            errors.url = 'Please provide a valid http or https URL (e.g., https://myapp.com)';
+        }
+    }
+    
+    let gameOptions = null;
+    if (testType === 'game') {
+        const { error, field, options } = validateGameOptions({ ...params, duration });
+        
+        if (error) {
+            errors[field] = error;
+        }
+        
+        gameOptions = options || null;
+    }
+    
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    
+    return { gameOptions };
+}
+
+/**
+ * Check that a string parses as an http(s) URL
+ * Where the URL points is checked against the workspace policy by checkTestPolicy
+ */
+function isValidUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Submit a web or game test and save it for notifications
+ * Params must already be validated with validateTestParams; the workspace budget is checked here
+ * @returns {Object} - { test_id, details } where details feed buildTestStartedBlock
+ */
+async function submitTest(params) {
+    const {
+        userLink,
+        team_id,
+        user_id,
+        channel_id,
+        url,
+        name,
+        gameOptions,
+        previous_test_id
+    } = params;
+    const testType = params.test_type || 'web';
+    const duration = params.duration || DEFAULT_DURATION;
+    
+    // Throws BudgetExceededError before anything is sent to Deffatest
+    await checkBudget(team_id, duration);
+    
+    const api = new DeffatestAPI(userLink.api_key);
+    const submission = {
+        url,
+        duration,
+        name: name || `Slack: ${url}`,
+        metadata: {
+            slack_team_id: team_id,
+            slack_user_id: user_id,
+            slack_channel_id: channel_id,
+            source: 'slack',
+            // Team key tests all land on one Deffatest account, so this is the only attribution
+            credential: userLink.is_team_key ? 'team_key' : 'user_key'
+        }
+    };
+    
+    const result = testType === 'game'
+        ? await api.submitGameTest({ ...submission, ...gameOptions, is_store_url: isStoreUrl(url) })
+        : await api.submitWebTest(submission);
+    
+    // Save test for notifications
+    await saveTest({
+        test_id: result.test_id,
+        slack_team_id: team_id,
+        slack_user_id: user_id,
+        slack_channel_id: channel_id,
+        test_type: testType,
+        url,
+        duration,
+        ...gameOptions,
+        previous_test_id
+    });
+    
+    logger.info(`Test submitted: ${result.test_id} by ${user_id}`);
+    
+    await warnOnBudgetUsage(team_id);
+    
+    return {
+        test_id: result.test_id,
+        details: {
+            test_type: testType,
+            ...gameOptions
+        }
+    };
+}
+
+/**
+ * Post the "Test started" message to the results channel and remember its ts
+ * Progress and completion webhooks update this message in place
+ * @param {string} [threadTs] - Post as a reply in this thread (re-runs)
+ * @returns {boolean} - False if the bot can't post in the channel (e.g. not a member)
+ */
+async function postTestStartedMessage(client, testId, channelId, blocks, threadTs) {
+    try {
+        const result = await client.chat.postMessage({
+            channel: channelId,
+            ...(threadTs && { thread_ts: threadTs }),
+            text: 'Test started!',
+            blocks
+        });
+        
+        await saveTestMessage(testId, result.ts, threadTs);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not post started message for test ${testId}:`, error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    TEST_TYPES,
+    validateTestParams,
+    submitTest,
+    postTestStartedMessage
+};
@@ -0,0 +1,135 @@
+/**
+ * Target URL Policy
+ * Checks where tests may be pointed: only public http(s) hosts, within the
+ * workspace's allowed domains and outside its blocked hosts
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { isStoreUrl } = require('./game-tests');
+const logger = require('../utils/logger');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// A hostname or IPv4 address, optionally starting with *. to match its subdomains
+const HOST_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+// Addresses that are never tested: loopback, private, link-local, carrier-grade NAT,
+// IETF protocol assignments, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// match the IPv4 rules; IPv4-compatible, NAT64 and 6to4 addresses, which can also reach
+// IPv4 hosts, are blocked as whole ranges, as are deprecated site-local addresses
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96],
+    ['64:ff9b::', 96],
+    ['2002::', 16],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['fec0::', 10],
+    ['ff00::', 8]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Normalize an admin-entered host pattern
+ * Accepts Slack's escaped links (<http://example.com|example.com>), schemes and paths
+ * @returns {string|null} - e.g. *.staging.example.com, or null if it isn't a host pattern
+ */
+function parseHostPattern(value) {
+    const pattern = value
+        .replace(/<([^>|]+)(?:\|([^>]+))?>/g, (match, link, label) => label || link)
+        .replace(/^[a-z]+:\/\//i, '')
+        .replace(/[/:?#].*$/, '')
+        .toLowerCase();
+    
+    return HOST_PATTERN.test(pattern) ? pattern : null;
+}
+
+/**
+ * Check whether a host matches a pattern
+ * *.example.com matches any subdomain of example.com, but not example.com itself
+ */
+function matchesHostPattern(host, pattern) {
+    if (pattern.startsWith('*.')) {
+        return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+}
+
+/**
+ * Check a test's target URL against the workspace policy
+ * Game store listings are exempt from the allowed domains, since they name an app rather than a host to test.
+ * SECURITY: Hosts are resolved so names pointing at private addresses are rejected too;
+ * hosts that don't resolve are rejected as well
+ * @param {Object} policy - From getTestPolicy
+ * @param {string} testType - web or game
+ * @returns {Object} - { error } with a user-facing reason, or {} if allowed
+ */
+async function checkTargetUrl(url, policy, testType) {
+    let parsed;
+    
+    try {
+        parsed = new URL(url);
+    } catch {
+        return { error: 'Please provide a valid URL (e.g., https://myapp.com)' };
+    }
+    
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+        return { error: `🔒 Only http and https URLs can be tested, not ${parsed.protocol.slice(0, -1)}.` };
+    }
+    
+    // IPv6 literals keep their brackets in hostname
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    
+    if (policy.blocked_hosts.some(pattern => matchesHostPattern(host, pattern))) {
+        return { error: `🔒 \`${host}\` is blocked from testing in this workspace.` };
+    }
+    
+    const isStoreListing = testType === 'game' && isStoreUrl(url);
+    
+    if (policy.allowed_domains.length > 0 && !isStoreListing && !policy.allowed_domains.some(pattern => matchesHostPattern(host, pattern))) {
+        const domains = policy.allowed_domains.map(pattern => `\`${pattern}\``).join(', ');
+        return { error: `🔒 \`${host}\` isn't an allowed test target. Test a URL on one of: ${domains}` };
+    }
+    
+    let addresses;
+    
+    if (net.isIP(host)) {
+        addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+        try {
+            addresses = await dns.lookup(host, { all: true });
+        } catch (error) {
+            logger.debug(`Could not resolve test target ${host}:`, error.message);
+            return { error: `Could not find \`${host}\`. Check the URL and try again.` };
+        }
+    }
+    
+    const isPrivate = addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    
+    if (isPrivate) {
+        return { error: `🔒 \`${host}\` is a private or local address. Only publicly reachable sites can be tested.` };
+    }
+    
+    return {};
+}
+
+module.exports = {
+    parseHostPattern,
+    checkTargetUrl
+};
@@ -0,0 +1,150 @@
+/**
+ * Webhook Queue Service
+ * Durable Postgres-backed queue for Deffatest webhook deliveries
+ *
+ * Webhooks are stored and acknowledged right away. A worker sends the Slack
+ * notifications, retrying with exponential backoff and honoring Slack's
+ * retry_after on 429s. Jobs that keep failing are dead-lettered for replay.
+ */
+
+const { WebClient, ErrorCode } = require('@slack/web-api');
+const {
+    enqueueWebhookJob,
+    claimWebhookJobs,
+    saveWebhookJobSteps,
+    completeWebhookJob,
+    retryWebhookJob,
+    deadLetterWebhookJob,
+    purgeWebhookJobs
+} = require('./database');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL = 5 * 1000; // 5 seconds
+const BATCH_SIZE = 10;
+
+// A job still locked after this long is assumed abandoned by a crashed worker
+const LOCK_SECONDS = 5 * 60;
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS) || 8;
+
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+
+// Completed jobs are kept this long for debugging
+const COMPLETED_JOB_TTL_HOURS = 72;
+
+// Every call passes the workspace's token. Rate limits are rejected instead of
+// retried inside the client, so the worker can reschedule the job
+const slackClient = new WebClient(undefined, {
+    rejectRateLimitedCalls: true,
+    retryConfig: { retries: 0 }
+});
+
+let timer = null;
+let running = false;
+
+/**
+ * Queue a webhook delivery
+ */
+async function enqueueWebhook(eventId, eventType, payload) {
+    const jobId = await enqueueWebhookJob(eventId, eventType, payload);
+    logger.debug(`Webhook queued: ${eventType} as job ${jobId}`);
+    return jobId;
+}
+
+/**
+ * Backoff before the next attempt: 30s, 1m, 2m, ... up to 1h
+ */
+function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Run one job through the processor and record the outcome
+ */
+async function runJob(job, processor) {
+    const completedSteps = new Set(job.completed_steps || []);
+    
+    // Handlers wrap each notification in a step so a retry doesn't send it twice
+    const context = {
+        id: job.id,
+        payload: job.payload,
+        isDone: name => completedSteps.has(name),
+        markDone: async name => {
+            completedSteps.add(name);
+            await saveWebhookJobSteps(job.id, [...completedSteps]);
+        },
+        step: async (name, fn) => {
+            if (completedSteps.has(name)) return;
+            await fn();
+            await context.markDone(name);
+        }
+    };
+    
+    try {
+        await processor(context, slackClient);
+        await completeWebhookJob(job.id);
+    } catch (error) {
+        if (error.code === ErrorCode.RateLimitedError) {
+            const delay = (error.retryAfter || 60) * 1000;
+            logger.warn(`Webhook job ${job.id} rate limited, retrying in ${delay / 1000}s`);
+            await retryWebhookJob(job.id, delay, error.message, true);
+            return;
+        }
+        
+        if (job.attempts >= MAX_ATTEMPTS) {
+            logger.error(`Webhook job ${job.id} failed ${job.attempts} times, moved to dead letter:`, error.message);
+            await deadLetterWebhookJob(job.id, error.message);
+            return;
+        }
+        
+        const delay = getRetryDelay(job.attempts);
+        logger.warn(`Webhook job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay / 1000}s:`, error.message);
+        await retryWebhookJob(job.id, delay, error.message, false);
+    }
+}
+
+/**
+ * Claim and run a batch of due jobs
+ */
+async function processDueJobs(processor) {
+    // Skip this tick if the previous batch is still running
+    if (running) return;
+    running = true;
+    
+    try {
+        const jobs = await claimWebhookJobs(BATCH_SIZE, LOCK_SECONDS);
+        
+        for (const job of jobs) {
+            await runJob(job, processor);
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the webhook worker
+ * @param {Function} processor - (job, slackClient) => Promise, throws to retry
+ */
+function startWebhookWorker(processor) {
+    if (timer) return;
+    
+    timer = setInterval(() => {
+        processDueJobs(processor).catch(error => {
+            logger.error('Webhook worker error:', error.message);
+        });
+    }, POLL_INTERVAL);
+    
+    // Clean up old completed jobs every hour
+    setInterval(() => {
+        purgeWebhookJobs(COMPLETED_JOB_TTL_HOURS);
+    }, 60 * 60 * 1000);
+    
+    logger.info('Webhook worker started');
+}
+
+module.exports = {
+    enqueueWebhook,
+    startWebhookWorker
+};
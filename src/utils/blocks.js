@@ -3,10 +3,78 @@
  * Creates formatted messages for Slack
  */
 
+const { GAME_PLATFORMS, INPUT_MODES } = require('../services/game-tests');
+
+const DURATIONS = ['30m', '1h', '2h', '6h', '12h'];
+
+const TEST_TYPE_LABELS = {
+    web: 'Web app',
+    mobile: 'Mobile app',
+    game: 'Game'
+};
+
+const PLATFORM_LABELS = {
+    android: 'Android',
+    ios: 'iOS',
+    windows: 'Windows',
+    macos: 'macOS',
+    linux: 'Linux',
+    webgl: 'WebGL'
+};
+
+/**
+ * Build the field describing what is being tested
+ * Mobile tests show the app and platform, everything else shows the URL
+ */
+function buildTargetField(target) {
+    if (target.test_type === 'mobile') {
+        const platform = PLATFORM_LABELS[target.platform] || target.platform || 'Unknown';
+        return {
+            type: 'mrkdwn',
+            text: `*App:*\n${target.app_name || 'Unknown'} (${platform})`
+        };
+    }
+    
+    if (target.test_type === 'game') {
+        return {
+            type: 'mrkdwn',
+            text: `*Build:*\n${target.url || 'N/A'}`
+        };
+    }
+    
+    return {
+        type: 'mrkdwn',
+        text: `*URL:*\n${target.url || 'N/A'}`
+    };
+}
+
+/**
+ * Build extra fields for test types with their own parameters
+ */
+function buildTypeFields(target) {
+    if (target.test_type !== 'game') return [];
+    
+    return [
+        {
+            type: 'mrkdwn',
+            text: `*Platform:*\n${PLATFORM_LABELS[target.platform] || target.platform || 'Unknown'}`
+        },
+        {
+            type: 'mrkdwn',
+            text: `*Session Length:*\n${target.session_length || 'N/A'}`
+        },
+        {
+            type: 'mrkdwn',
+            text: `*Input Mode:*\n${target.input_mode || 'N/A'}`
+        }
+    ];
+}
+
 /**
  * Build test started message
+ * @param {Object} [details] - Test type details (test_type, app_name, platform, session_length, input_mode)
  */
-function buildTestStartedBlock(testId, url, duration) {
+function buildTestStartedBlock(testId, url, duration, details = {}) {
     return [
         {
             type: 'header',
@@ -27,14 +95,12 @@ function buildTestStartedBlock(testId, url, duration) {
                     type: 'mrkdwn',
                     text: `*Duration:*\n${duration || '2h'}`
                 },
-                {
-                    type: 'mrkdwn',
-                    text: `*URL:*\n${url}`
-                },
+                buildTargetField({ ...details, url }),
                 {
                     type: 'mrkdwn',
                     text: `*Status:*\n🟡 Running`
-                }
+                },
+                ...buildTypeFields(details)
             ]
         },
         {
@@ -46,39 +112,176 @@ function buildTestStartedBlock(testId, url, duration) {
                 }
             ]
         },
+        buildRunningActions(testId)
+    ];
+}
+
+const PROGRESS_HEADERS = {
+    running: '⏳ Test Running',
+    completed: '🏁 Test Finished',
+    failed: '❌ Test Failed'
+};
+
+/**
+ * Build test progress message (replaces the "Test started" message while running)
+ * In thread mode it also shows the final state, with the verdict posted in the thread
+ * @param {Object} test - Test info (test_id, url, duration, started_at, test type details)
+ * @param {Object} update - { progress, bugs, status }
+ */
+function buildTestProgressBlock(test, update) {
+    const progress = Math.max(0, Math.min(100, Math.round(update.progress || 0)));
+    const bugs = update.bugs || {};
+    
+    return [
         {
-            type: 'actions',
-            elements: [
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: PROGRESS_HEADERS[update.status] || PROGRESS_HEADERS.running,
+                emoji: true
+            }
+        },
+        {
+            type: 'section',
+            fields: [
                 {
-                    type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: 'View Progress',
-                        emoji: true
-                    },
-                    url: `https://deffatest.online/dashboard/test/${testId}`,
-                    style: 'primary'
+                    type: 'mrkdwn',
+                    text: `*Test ID:*\n\`${test.test_id}\``
                 },
                 {
-                    type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: 'Check Status',
-                        emoji: true
-                    },
-                    action_id: `button_status_${testId}`,
-                    value: testId
+                    type: 'mrkdwn',
+                    text: `*Duration:*\n${test.duration || '2h'}`
+                },
+                buildTargetField(test),
+                {
+                    type: 'mrkdwn',
+                    text: `*Elapsed:*\n${formatElapsed(test.started_at)}`
+                },
+                ...buildTypeFields(test)
+            ]
+        },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `\`${buildProgressBar(progress)}\` *${progress}%*`
+            }
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: `Bugs so far: 🔴 ${bugs.critical || 0}  🟠 ${bugs.high || 0}  🟡 ${bugs.medium || 0}  🟢 ${bugs.low || 0}`
                 }
             ]
+        },
+        buildRunningActions(test.test_id)
+    ];
+}
+
+/**
+ * Build action buttons shown while a test is running
+ */
+function buildRunningActions(testId) {
+    return {
+        type: 'actions',
+        elements: [
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'View Progress',
+                    emoji: true
+                },
+                url: `https://deffatest.online/dashboard/test/${testId}`,
+                style: 'primary'
+            },
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'Check Status',
+                    emoji: true
+                },
+                action_id: `button_status_${testId}`,
+                value: testId
+            },
+            ...buildWatchButtons(testId),
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'Cancel',
+                    emoji: true
+                },
+                action_id: `button_cancel_${testId}`,
+                value: testId,
+                style: 'danger',
+                confirm: {
+                    title: { type: 'plain_text', text: 'Cancel this test?' },
+                    text: { type: 'mrkdwn', text: `Test \`${testId}\` will be stopped. This can't be undone.` },
+                    confirm: { type: 'plain_text', text: 'Cancel Test' },
+                    deny: { type: 'plain_text', text: 'Keep Running' }
+                }
+            }
+        ]
+    };
+}
+
+/**
+ * Build the buttons to subscribe to or unsubscribe from a test's result DMs
+ */
+function buildWatchButtons(testId) {
+    return [
+        {
+            type: 'button',
+            text: {
+                type: 'plain_text',
+                text: '🔔 Watch',
+                emoji: true
+            },
+            action_id: `button_watch_${testId}`,
+            value: testId
+        },
+        {
+            type: 'button',
+            text: {
+                type: 'plain_text',
+                text: '🔕 Unwatch',
+                emoji: true
+            },
+            action_id: `button_unwatch_${testId}`,
+            value: testId
         }
     ];
 }
 
+/**
+ * Build a text progress bar, e.g. ▓▓▓▓░░░░░░
+ */
+function buildProgressBar(progress, width = 20) {
+    const filled = Math.round((progress / 100) * width);
+    return '▓'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * Format time since a start date, e.g. 1h 23m
+ */
+function formatElapsed(startedAt) {
+    if (!startedAt) return 'N/A';
+    
+    const minutes = Math.max(0, Math.floor((Date.now() - new Date(startedAt).getTime()) / 60000));
+    const hours = Math.floor(minutes / 60);
+    
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
 /**
  * Build test completed message
  */
 function buildTestCompletedBlock(data) {
-    const { test_id, bugs, report_url, duration, url } = data;
+    const { test_id, bugs, report_url, duration, comparison } = data;
     const total = (bugs?.critical || 0) + (bugs?.high || 0) + (bugs?.medium || 0) + (bugs?.low || 0);
     
     let emoji = '✅';
@@ -111,6 +314,7 @@ function buildTestCompletedBlock(data) {
                 text: `*${statusText}*`
             }
         },
+        ...(comparison ? [buildComparisonContext(comparison)] : []),
         {
             type: 'section',
             fields: [
@@ -121,7 +325,9 @@ function buildTestCompletedBlock(data) {
                 {
                     type: 'mrkdwn',
                     text: `*Duration:*\n${duration || 'N/A'}`
-                }
+                },
+                buildTargetField(data),
+                ...buildTypeFields(data)
             ]
         },
         {
@@ -134,10 +340,10 @@ function buildTestCompletedBlock(data) {
                 text: '*Bug Summary:*'
             },
             fields: [
-                { type: 'mrkdwn', text: `🔴 *Critical:* ${bugs?.critical || 0}` },
-                { type: 'mrkdwn', text: `🟠 *High:* ${bugs?.high || 0}` },
-                { type: 'mrkdwn', text: `🟡 *Medium:* ${bugs?.medium || 0}` },
-                { type: 'mrkdwn', text: `🟢 *Low:* ${bugs?.low || 0}` }
+                { type: 'mrkdwn', text: `🔴 *Critical:* ${bugs?.critical || 0}${formatDelta(comparison, 'critical')}` },
+                { type: 'mrkdwn', text: `🟠 *High:* ${bugs?.high || 0}${formatDelta(comparison, 'high')}` },
+                { type: 'mrkdwn', text: `🟡 *Medium:* ${bugs?.medium || 0}${formatDelta(comparison, 'medium')}` },
+                { type: 'mrkdwn', text: `🟢 *Low:* ${bugs?.low || 0}${formatDelta(comparison, 'low')}` }
             ]
         },
         {
@@ -159,6 +365,118 @@ function buildTestCompletedBlock(data) {
                     },
                     url: report_url || `https://deffatest.online/dashboard/test/${test_id}`,
                     style: 'primary'
+                },
+                buildRerunButton(test_id)
+            ]
+        }
+    ];
+}
+
+const COMPARISON_HEADLINES = {
+    regression: '📈 *Regression*',
+    improved: '📉 *Improved*',
+    unchanged: '➖ *No change*'
+};
+
+/**
+ * Build the line comparing a completed test with the previous run
+ * @param {Object} comparison - { previous_test_id, verdict } from compareWithPreviousRun
+ */
+function buildComparisonContext(comparison) {
+    return {
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: `${COMPARISON_HEADLINES[comparison.verdict]} compared with the previous run \`${comparison.previous_test_id}\``
+            }
+        ]
+    };
+}
+
+/**
+ * Format the change in one severity's bug count, e.g. " (+2)"
+ */
+function formatDelta(comparison, severity) {
+    return comparison ? formatChange(comparison.delta[severity]) : '';
+}
+
+/**
+ * Format a signed change, e.g. " (+2)", " (-1)", " (±0)"
+ */
+function formatChange(delta) {
+    return ` (${delta > 0 ? '+' : delta < 0 ? '-' : '±'}${Math.abs(delta)})`;
+}
+
+/**
+ * Build test failed message
+ */
+function buildTestFailedBlock(testId, errorMessage) {
+    return [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `❌ *Test Failed*\n\nTest ID: \`${testId}\`\n\n${errorMessage || 'Unknown error occurred'}`
+            }
+        },
+        {
+            type: 'actions',
+            elements: [
+                {
+                    type: 'button',
+                    text: {
+                        type: 'plain_text',
+                        text: 'View Details'
+                    },
+                    url: `https://deffatest.online/dashboard/test/${testId}`
+                },
+                buildRerunButton(testId)
+            ]
+        }
+    ];
+}
+
+/**
+ * Build re-run button for finished tests
+ */
+function buildRerunButton(testId) {
+    return {
+        type: 'button',
+        text: {
+            type: 'plain_text',
+            text: '🔁 Re-run',
+            emoji: true
+        },
+        action_id: `button_rerun_${testId}`,
+        value: testId
+    };
+}
+
+/**
+ * Build test cancelled message (replaces the "Test started" message)
+ */
+function buildTestCancelledBlock(test, cancelledBy) {
+    return [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '🚫 Test Cancelled',
+                emoji: true
+            }
+        },
+        {
+            type: 'section',
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*Test ID:*\n\`${test.test_id}\``
+                },
+                buildTargetField(test),
+                {
+                    type: 'mrkdwn',
+                    text: `*Cancelled by:*\n<@${cancelledBy}>`
                 }
             ]
         }
@@ -167,13 +485,15 @@ function buildTestCompletedBlock(data) {
 
 /**
  * Build test status message
+ * @param {Array<string>} watchers - Slack user IDs that get the test's result DMs
  */
-function buildTestStatusBlock(status) {
+function buildTestStatusBlock(status, watchers = []) {
     const statusEmoji = {
         'queued': '⏸️',
         'running': '⏳',
         'completed': '✅',
-        'failed': '❌'
+        'failed': '❌',
+        'cancelled': '🚫'
     };
     
     const blocks = [
@@ -196,6 +516,12 @@ function buildTestStatusBlock(status) {
         }
     ];
     
+    if (status.url || status.app_name) {
+        blocks[1].fields.push(buildTargetField(status));
+    }
+    
+    blocks[1].fields.push(...buildTypeFields(status));
+    
     if (status.status === 'completed' && status.bugs) {
         blocks.push(
             { type: 'divider' },
@@ -212,44 +538,759 @@ function buildTestStatusBlock(status) {
         );
     }
     
+    blocks.push({
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: watchers.length > 0
+                    ? `🔔 Watching: ${watchers.map(userId => `<@${userId}>`).join(', ')}`
+                    : '🔔 Nobody is watching this test'
+            }
+        ]
+    });
+    
+    if (['queued', 'running'].includes(status.status)) {
+        blocks.push({
+            type: 'actions',
+            elements: buildWatchButtons(status.test_id)
+        });
+    }
+    
     return blocks;
 }
 
 /**
- * Build help message
+ * Build test history message
+ * @param {Array} tests - Rows from getTestHistory
+ * @param {Object} paging - { page, hasNext, state } where state is the JSON carried by the page buttons
  */
-function buildHelpBlock() {
-    return {
-        text: 'Deffatest Help',
-        blocks: [
-            {
-                type: 'header',
-                text: {
-                    type: 'plain_text',
-                    text: '🤖 Deffatest Commands',
-                    emoji: true
-                }
-            },
-            {
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: '*Start a test:*\n`/deffatest --url https://myapp.com --duration 2h`'
-                }
-            },
-            {
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: '*Check status:*\n`/deffatest-status <test-id>`'
-                }
-            },
-            {
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: '*Options:*\n• `--url` - Application URL (required)\n• `--duration` - Test duration (30m, 1h, 2h, 6h, 12h)\n• `--type` - Test type (web, mobile, game)'
-                }
+function buildHistoryBlock(tests, paging) {
+    const { page, hasNext, state } = paging;
+    const statusEmoji = {
+        'running': '⏳',
+        'completed': '✅',
+        'failed': '❌',
+        'cancelled': '🚫'
+    };
+    
+    const blocks = [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '📜 Test History',
+                emoji: true
+            }
+        }
+    ];
+    
+    if (tests.length === 0) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: 'No tests found for this channel.'
+            }
+        });
+    }
+    
+    for (const test of tests) {
+        const target = formatTarget(test);
+        const startedAt = Math.floor(new Date(test.started_at).getTime() / 1000);
+        
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `${statusEmoji[test.status] || '❓'} *${target}*\n` +
+                    `\`${test.test_id}\` · <@${test.slack_user_id}> · <!date^${startedAt}^{date_short_pretty} {time}|${new Date(test.started_at).toISOString()}>\n` +
+                    `🔴 ${test.bugs_critical || 0}  🟠 ${test.bugs_high || 0}  🟡 ${test.bugs_medium || 0}  🟢 ${test.bugs_low || 0}`
+            },
+            accessory: {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'Status',
+                    emoji: true
+                },
+                action_id: `button_status_${test.test_id}`,
+                value: test.test_id
+            }
+        });
+    }
+    
+    const navigation = [];
+    
+    if (page > 0) {
+        navigation.push({
+            type: 'button',
+            text: {
+                type: 'plain_text',
+                text: '← Previous',
+                emoji: true
+            },
+            action_id: 'button_history_prev',
+            value: JSON.stringify({ ...state, page: page - 1 })
+        });
+    }
+    
+    if (hasNext) {
+        navigation.push({
+            type: 'button',
+            text: {
+                type: 'plain_text',
+                text: 'Next →',
+                emoji: true
+            },
+            action_id: 'button_history_next',
+            value: JSON.stringify({ ...state, page: page + 1 })
+        });
+    }
+    
+    blocks.push({
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: `Page ${page + 1}`
+            }
+        ]
+    });
+    
+    if (navigation.length > 0) {
+        blocks.push({
+            type: 'actions',
+            elements: navigation
+        });
+    }
+    
+    return blocks;
+}
+
+/**
+ * Build the workspace test policy overview for /deffatest admin policy
+ * @param {Object} policy - From getTestPolicy
+ */
+function buildPolicyBlock(policy) {
+    const formatId = id => id.startsWith('S') ? `<!subteam^${id}>` : `<@${id}>`;
+    
+    const allowed = policy.allowed_users.length > 0
+        ? `Admins and ${policy.allowed_users.map(formatId).join(', ')}`
+        : 'Everyone';
+    const channels = policy.allowed_channels.length > 0
+        ? policy.allowed_channels.map(id => `<#${id}>`).join(', ')
+        : 'Any channel';
+    
+    return [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '🔒 Test Policy',
+                emoji: true
+            }
+        },
+        {
+            type: 'section',
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*Who can run tests:*\n${allowed}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Channels:*\n${channels}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Max duration (admins):*\n${policy.max_duration.admin || 'No limit'}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Max duration (members):*\n${policy.max_duration.member || 'No limit'}`
+                }
+            ]
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: '`/deffatest admin policy allow|disallow @user @group` · `/deffatest admin policy channels #channel …|any` · `/deffatest admin policy max-duration admin|member 6h|none`'
+                }
+            ]
+        }
+    ];
+}
+
+/**
+ * Build the workspace's test target rules for /deffatest admin domains
+ * @param {Object} policy - From getTestPolicy
+ */
+function buildDomainPolicyBlock(policy) {
+    const formatPatterns = (patterns, none) => patterns.length > 0
+        ? patterns.map(pattern => `\`${pattern}\``).join(', ')
+        : none;
+    
+    return [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '🌐 Test Targets',
+                emoji: true
+            }
+        },
+        {
+            type: 'section',
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*Allowed domains:*\n${formatPatterns(policy.allowed_domains, 'Any public site')}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Blocked hosts:*\n${formatPatterns(policy.blocked_hosts, 'None')}`
+                }
+            ]
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: 'Private and local addresses and non-http(s) URLs are always rejected. `/deffatest admin domains allow|disallow *.staging.example.com` · `/deffatest admin domains block|unblock prod.example.com`'
+                }
+            ]
+        }
+    ];
+}
+
+/**
+ * Build the workspace usage budgets overview for /deffatest admin budget
+ * @param {Object} budget - From getUsageBudget
+ */
+function buildBudgetBlock(budget) {
+    const formatLimit = (limit, unit) => limit === null ? 'No limit' : `${limit} ${unit}`;
+    
+    return [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '💰 Usage Budgets',
+                emoji: true
+            }
+        },
+        {
+            type: 'section',
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*Daily:*\n${formatLimit(budget.daily.tests, 'tests')} · ${formatLimit(budget.daily.minutes, 'minutes')}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Monthly:*\n${formatLimit(budget.monthly.tests, 'tests')} · ${formatLimit(budget.monthly.minutes, 'minutes')}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Warnings go to:*\n${budget.alert_channel_id ? `<#${budget.alert_channel_id}>` : 'Nowhere'}`
+                }
+            ]
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: '`/deffatest admin budget daily|monthly tests|minutes <n>|none` · `/deffatest admin budget channel #channel|none`'
+                }
+            ]
+        }
+    ];
+}
+
+/**
+ * Build a workspace's usage for one period for /deffatest usage
+ * @param {string} period - daily or monthly
+ * @param {Object} usage - usage[period] from getWorkspaceUsage
+ * @param {Object} budget - From getUsageBudget
+ */
+function buildUsageBlock(period, usage, budget) {
+    const limits = budget[period];
+    const formatUsed = (used, limit, unit) => limit === null
+        ? `${used} ${unit}`
+        : `${used} of ${limit} ${unit} (${Math.round(used * 100 / limit)}%)`;
+    
+    // Heaviest users first, so the breakdown answers "who used it"
+    const formatBreakdown = (group, format) => {
+        const rows = Object.entries(group)
+            .sort(([, a], [, b]) => b.minutes - a.minutes)
+            .slice(0, 10)
+            .map(([id, used]) => `• ${format(id)}: ${used.tests} tests, ${used.minutes} min`);
+        
+        return rows.length > 0 ? rows.join('\n') : '_No tests yet_';
+    };
+    
+    return [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: `📈 ${period === 'daily' ? 'Today' : 'This Month'}'s Usage`,
+                emoji: true
+            }
+        },
+        {
+            type: 'section',
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*Tests:*\n${formatUsed(usage.tests, limits.tests, 'tests')}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Test minutes:*\n${formatUsed(usage.minutes, limits.minutes, 'minutes')}`
+                }
+            ]
+        },
+        {
+            type: 'section',
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*By user:*\n${formatBreakdown(usage.users, id => `<@${id}>`)}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*By channel:*\n${formatBreakdown(usage.channels, id => `<#${id}>`)}`
+                }
+            ]
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: `Tests started from Slack; minutes are the requested durations. \`/deffatest usage ${period === 'daily' ? 'monthly' : 'daily'}\` for ${period === 'daily' ? 'this month' : 'today'}.`
+                }
+            ]
+        }
+    ];
+}
+
+/**
+ * Build the list of recurring test schedules for a channel
+ */
+function buildScheduleListBlock(schedules) {
+    const blocks = [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '🗓️ Scheduled Tests',
+                emoji: true
+            }
+        }
+    ];
+    
+    if (schedules.length === 0) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: 'No scheduled tests in this channel.\nCreate one with `/deffatest schedule --url <url> --cron "0 2 * * *"`'
+            }
+        });
+        return blocks;
+    }
+    
+    for (const schedule of schedules) {
+        const nextRun = Math.floor(new Date(schedule.next_run_at).getTime() / 1000);
+        
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*#${schedule.id}* · ${schedule.url}\n` +
+                    `\`${schedule.cron}\` (${schedule.timezone}) · ${schedule.duration} · <@${schedule.user_id}>\n` +
+                    `Next run: <!date^${nextRun}^{date_short_pretty} {time}|${new Date(schedule.next_run_at).toISOString()}>`
+            }
+        });
+    }
+    
+    blocks.push({
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: 'Remove a schedule with `/deffatest schedule delete <id>`'
+            }
+        ]
+    });
+    
+    return blocks;
+}
+
+/**
+ * Build a channel's daily or weekly test digest
+ * @param {Object} digest - { frequency, since, until, current, previous, topTargets }
+ */
+function buildDigestBlock(digest) {
+    const { frequency, since, until, current, previous, topTargets } = digest;
+    const period = frequency === 'weekly' ? 'week' : 'day';
+    const sinceTs = Math.floor(since.getTime() / 1000);
+    const untilTs = Math.floor(until.getTime() / 1000);
+    
+    const blocks = [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: `📊 ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Test Digest`,
+                emoji: true
+            }
+        },
+        {
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: `<!date^${sinceTs}^{date_short_pretty} {time}|${since.toISOString()}> – <!date^${untilTs}^{date_short_pretty} {time}|${until.toISOString()}> · compared with the previous ${period}`
+                }
+            ]
+        }
+    ];
+    
+    if (current.tests === 0) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `No tests were run in this channel in the last ${period}.`
+            }
+        });
+        return blocks;
+    }
+    
+    const finished = current.completed + current.failed;
+    const passRate = finished > 0 ? `${Math.round(current.completed / finished * 100)}%` : 'N/A';
+    const total = bugs => bugs.critical + bugs.high + bugs.medium + bugs.low;
+    
+    blocks.push(
+        {
+            type: 'section',
+            fields: [
+                { type: 'mrkdwn', text: `*Tests run:*\n${current.tests}${formatChange(current.tests - previous.tests)}` },
+                { type: 'mrkdwn', text: `*Pass rate:*\n${passRate} (${current.completed} passed / ${current.failed} failed)` },
+                { type: 'mrkdwn', text: `*Total bugs:*\n${total(current.bugs)}${formatChange(total(current.bugs) - total(previous.bugs))}` },
+                { type: 'mrkdwn', text: `*Cancelled:*\n${current.cancelled}` }
+            ]
+        },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '*Bugs by severity:*'
+            },
+            fields: [
+                { type: 'mrkdwn', text: `🔴 *Critical:* ${current.bugs.critical}${formatChange(current.bugs.critical - previous.bugs.critical)}` },
+                { type: 'mrkdwn', text: `🟠 *High:* ${current.bugs.high}${formatChange(current.bugs.high - previous.bugs.high)}` },
+                { type: 'mrkdwn', text: `🟡 *Medium:* ${current.bugs.medium}${formatChange(current.bugs.medium - previous.bugs.medium)}` },
+                { type: 'mrkdwn', text: `🟢 *Low:* ${current.bugs.low}${formatChange(current.bugs.low - previous.bugs.low)}` }
+            ]
+        }
+    );
+    
+    if (topTargets.length > 0) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '*Most critical bugs:*\n' + topTargets
+                    .map((target, index) => `${index + 1}. ${formatTarget(target)} - ${target.critical} critical in ${target.tests} test(s)`)
+                    .join('\n')
+            }
+        });
+    }
+    
+    blocks.push({
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: 'Change how often this is posted with `/deffatest digest daily|weekly|off`'
+            }
+        ]
+    });
+    
+    return blocks;
+}
+
+/**
+ * Build App Home tab
+ * @param {Object} data - { userLink, runningTests, recentTests }
+ */
+function buildHomeView(data) {
+    const { userLink, runningTests = [], recentTests = [] } = data;
+    
+    const blocks = [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: '🤖 Deffatest',
+                emoji: true
+            }
+        }
+    ];
+    
+    if (!userLink) {
+        blocks.push(
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '🔐 *Not linked*\nLink your Deffatest account to start tests and get notifications.'
+                }
+            },
+            {
+                type: 'actions',
+                elements: [
+                    {
+                        type: 'button',
+                        text: {
+                            type: 'plain_text',
+                            text: 'Link Account',
+                            emoji: true
+                        },
+                        action_id: 'button_link_account',
+                        style: 'primary'
+                    }
+                ]
+            }
+        );
+        
+        return { type: 'home', blocks };
+    }
+    
+    // Team key users have no link of their own to configure or unlink
+    const accountActions = userLink.is_team_key
+        ? [
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'Link My Account',
+                    emoji: true
+                },
+                action_id: 'button_link_account'
+            }
+        ]
+        : [
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: userLink.dm_notifications ? '🔔 DMs: On' : '🔕 DMs: Off',
+                    emoji: true
+                },
+                action_id: 'button_home_toggle_dm',
+                value: userLink.dm_notifications ? 'off' : 'on'
+            },
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'Unlink',
+                    emoji: true
+                },
+                action_id: 'button_home_unlink',
+                style: 'danger',
+                confirm: {
+                    title: { type: 'plain_text', text: 'Unlink account?' },
+                    text: { type: 'mrkdwn', text: 'You will need to link your API key again to start tests.' },
+                    confirm: { type: 'plain_text', text: 'Unlink' },
+                    deny: { type: 'plain_text', text: 'Keep' }
+                }
+            }
+        ];
+    
+    blocks.push(
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: userLink.is_team_key
+                    ? '🔑 *Using the workspace team key*\nLink your own Deffatest account to run tests on it instead.'
+                    : `🔗 *Linked as* ${userLink.email || 'Unknown'}`
+            }
+        },
+        {
+            type: 'actions',
+            elements: [
+                {
+                    type: 'button',
+                    text: {
+                        type: 'plain_text',
+                        text: '🚀 New Test',
+                        emoji: true
+                    },
+                    action_id: 'button_home_new_test',
+                    style: 'primary'
+                },
+                ...accountActions
+            ]
+        },
+        { type: 'divider' },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '*⏳ Running Tests*'
+            }
+        }
+    );
+    
+    if (runningTests.length === 0) {
+        blocks.push({
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: 'No tests running.' }]
+        });
+    }
+    
+    for (const test of runningTests) {
+        const progress = Math.max(0, Math.min(100, test.progress || 0));
+        
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${formatTarget(test)}* in <#${test.slack_channel_id}>\n` +
+                    `\`${buildProgressBar(progress, 10)}\` ${progress}% · ${formatElapsed(test.started_at)} elapsed`
+            },
+            accessory: {
+                type: 'button',
+                text: { type: 'plain_text', text: 'Status', emoji: true },
+                action_id: `button_status_${test.test_id}`,
+                value: test.test_id
+            }
+        });
+    }
+    
+    blocks.push(
+        { type: 'divider' },
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '*✅ Recently Completed*'
+            }
+        }
+    );
+    
+    if (recentTests.length === 0) {
+        blocks.push({
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: 'No completed tests yet.' }]
+        });
+    }
+    
+    for (const test of recentTests) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${formatTarget(test)}* · \`${test.test_id}\`\n` +
+                    `🔴 ${test.bugs_critical || 0}  🟠 ${test.bugs_high || 0}  🟡 ${test.bugs_medium || 0}  🟢 ${test.bugs_low || 0}`
+            },
+            accessory: {
+                type: 'button',
+                text: { type: 'plain_text', text: 'Report', emoji: true },
+                url: `https://deffatest.online/dashboard/test/${test.test_id}`
+            }
+        });
+    }
+    
+    return { type: 'home', blocks };
+}
+
+/**
+ * Format what a stored test ran against (URL or mobile app)
+ */
+function formatTarget(test) {
+    if (test.test_type === 'mobile') {
+        return `${test.app_name || 'Unknown app'} (${PLATFORM_LABELS[test.platform] || test.platform || 'mobile'})`;
+    }
+    
+    return test.url || 'N/A';
+}
+
+/**
+ * Build help message
+ */
+function buildHelpBlock() {
+    return {
+        text: 'Deffatest Help',
+        blocks: [
+            {
+                type: 'header',
+                text: {
+                    type: 'plain_text',
+                    text: '🤖 Deffatest Commands',
+                    emoji: true
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Start a test:*\n`/deffatest` opens a form, or use `/deffatest --url https://myapp.com --duration 2h`'
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Check status:*\n`/deffatest-status <test-id>`\n\n*Cancel a running test:*\n`/deffatest cancel <test-id>`\n\n*Test history:*\n`/deffatest-history [--user @name] [--status failed] [--url staging] [--since 7d]`\n\n*Recurring tests:*\n`/deffatest schedule --url <url> --cron "0 2 * * *" [--duration 1h]`\n`/deffatest schedule list` · `/deffatest schedule delete <id>`'
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Options:*\n• `--url` - Application URL (required)\n• `--duration` - Test duration (30m, 1h, 2h, 6h, 12h)\n• `--type` - Test type (web, mobile, game)\n• `--name` - Test name'
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Test a game:*\n`/deffatest --type game --url <build-or-store-url> --platform android --session 15m --input touch`\n• `--platform` - windows, macos, linux, android, ios, webgl (required)\n• `--session` - Length of each play session (default 15m)\n• `--input` - keyboard, gamepad, touch'
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Test a mobile app:*\n`/deffatest --type mobile` and attach an APK/IPA, or mention @deffatest in a message with the file attached'
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Account:*\n• `/deffatest whoami` - Show your linked account\n• `/deffatest relink` - Link a different API key\n• `/deffatest unlink` - Remove your account link\n• `/deffatest admin set-team-key` - Share one API key with unlinked users (admins)\n• `/deffatest admin policy` - Who can run tests, where, and for how long (admins)\n• `/deffatest admin domains` - Which sites tests may target (admins)\n• `/deffatest admin budget` - Daily and monthly test budgets (admins)\n• `/deffatest usage [daily|monthly]` - Test usage by user and channel'
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: '*Notifications:*\n• `/deffatest threads on|off|default` - Post test updates as thread replies in this channel\n• `/deffatest threads on|off --workspace` - Set the workspace default (admins)\n• `/deffatest digest daily|weekly|off` - Post a test summary in this channel'
+                }
             },
             {
                 type: 'divider'
@@ -270,7 +1311,7 @@ function buildHelpBlock() {
 /**
  * Build auth required message
  */
-function buildAuthRequiredBlock(linkUrl) {
+function buildAuthRequiredBlock(message = 'Link your Deffatest account to use this command.') {
     return {
         text: 'Authentication required',
         blocks: [
@@ -278,7 +1319,7 @@ function buildAuthRequiredBlock(linkUrl) {
                 type: 'section',
                 text: {
                     type: 'mrkdwn',
-                    text: '🔐 *Authentication Required*\n\nLink your Deffatest account to use this command.'
+                    text: `🔐 *Authentication Required*\n\n${message}`
                 }
             },
             {
@@ -288,18 +1329,379 @@ function buildAuthRequiredBlock(linkUrl) {
                         type: 'button',
                         text: {
                             type: 'plain_text',
-                            text: 'Connect Deffatest Account',
+                            text: 'Link Account',
                             emoji: true
                         },
-                        url: linkUrl,
+                        action_id: 'button_link_account',
                         style: 'primary'
                     }
                 ]
+            },
+            {
+                type: 'context',
+                elements: [
+                    {
+                        type: 'mrkdwn',
+                        text: 'You can find your API key in the settings of your Deffatest dashboard'
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Build link account modal
+ */
+function buildLinkAccountModal(privateMetadata) {
+    return {
+        type: 'modal',
+        callback_id: 'modal_link_account',
+        private_metadata: privateMetadata || '',
+        title: {
+            type: 'plain_text',
+            text: 'Link Deffatest Account'
+        },
+        submit: {
+            type: 'plain_text',
+            text: 'Link'
+        },
+        close: {
+            type: 'plain_text',
+            text: 'Cancel'
+        },
+        blocks: [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: 'Paste a Deffatest API key to link it to your Slack account. The key is encrypted before it is stored.'
+                }
+            },
+            {
+                type: 'input',
+                block_id: 'api_key_block',
+                label: {
+                    type: 'plain_text',
+                    text: 'API Key'
+                },
+                element: {
+                    type: 'plain_text_input',
+                    action_id: 'api_key_input',
+                    placeholder: {
+                        type: 'plain_text',
+                        text: 'Paste your API key'
+                    }
+                }
+            }
+        ]
+    };
+}
+
+/**
+ * Build the team key modal for /deffatest admin set-team-key
+ */
+function buildTeamKeyModal(privateMetadata) {
+    return {
+        type: 'modal',
+        callback_id: 'modal_team_key',
+        private_metadata: privateMetadata || '',
+        title: {
+            type: 'plain_text',
+            text: 'Set Team Key'
+        },
+        submit: {
+            type: 'plain_text',
+            text: 'Save'
+        },
+        close: {
+            type: 'plain_text',
+            text: 'Cancel'
+        },
+        blocks: [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: 'Paste a Deffatest API key to share with everyone in this workspace who hasn\'t linked their own account. The key is encrypted before it is stored.'
+                }
+            },
+            {
+                type: 'input',
+                block_id: 'team_key_block',
+                label: {
+                    type: 'plain_text',
+                    text: 'Team API Key'
+                },
+                element: {
+                    type: 'plain_text_input',
+                    action_id: 'team_key_input',
+                    placeholder: {
+                        type: 'plain_text',
+                        text: 'Paste the API key'
+                    }
+                }
             }
         ]
     };
 }
 
+/**
+ * Build new test modal
+ * Fields depend on the selected test type; changing the type re-renders the modal
+ * @param {Object} options - { privateMetadata, testType, channelId, values }
+ */
+function buildNewTestModal(options) {
+    const { privateMetadata, testType = 'web', channelId, values = {} } = options;
+    
+    const blocks = [
+        {
+            type: 'input',
+            block_id: 'test_type_block',
+            dispatch_action: true,
+            label: {
+                type: 'plain_text',
+                text: 'Test type'
+            },
+            element: {
+                type: 'static_select',
+                action_id: 'select_new_test_type',
+                initial_option: selectOption(testType, TEST_TYPE_LABELS[testType]),
+                options: Object.keys(TEST_TYPE_LABELS).map(type => selectOption(type, TEST_TYPE_LABELS[type]))
+            }
+        }
+    ];
+    
+    if (testType === 'mobile') {
+        blocks.push({
+            type: 'input',
+            block_id: 'app_file_block',
+            label: {
+                type: 'plain_text',
+                text: 'App file (.apk or .ipa)'
+            },
+            element: {
+                type: 'file_input',
+                action_id: 'app_file_input',
+                filetypes: ['apk', 'ipa'],
+                max_files: 1
+            }
+        });
+    } else {
+        blocks.push({
+            type: 'input',
+            block_id: 'url_block',
+            label: {
+                type: 'plain_text',
+                text: testType === 'game' ? 'Build or store URL' : 'Application URL'
+            },
+            element: {
+                type: 'plain_text_input',
+                action_id: 'url_input',
+                ...(values.url && { initial_value: values.url }),
+                placeholder: {
+                    type: 'plain_text',
+                    text: 'https://myapp.com'
+                }
+            }
+        });
+    }
+    
+    if (testType === 'game') {
+        blocks.push(
+            {
+                type: 'input',
+                block_id: 'platform_block',
+                label: {
+                    type: 'plain_text',
+                    text: 'Platform'
+                },
+                element: {
+                    type: 'static_select',
+                    action_id: 'platform_input',
+                    ...(values.platform && { initial_option: selectOption(values.platform, PLATFORM_LABELS[values.platform]) }),
+                    options: GAME_PLATFORMS.map(platform => selectOption(platform, PLATFORM_LABELS[platform]))
+                }
+            },
+            {
+                type: 'input',
+                block_id: 'session_block',
+                label: {
+                    type: 'plain_text',
+                    text: 'Session length'
+                },
+                element: {
+                    type: 'static_select',
+                    action_id: 'session_input',
+                    initial_option: selectOption(values.session || '15m'),
+                    options: ['5m', '15m', '30m', '1h'].map(session => selectOption(session))
+                }
+            },
+            {
+                type: 'input',
+                block_id: 'input_block',
+                optional: true,
+                label: {
+                    type: 'plain_text',
+                    text: 'Input mode'
+                },
+                element: {
+                    type: 'static_select',
+                    action_id: 'input_input',
+                    ...(values.input && { initial_option: selectOption(values.input) }),
+                    options: INPUT_MODES.map(mode => selectOption(mode))
+                },
+                hint: {
+                    type: 'plain_text',
+                    text: 'Defaults to touch on mobile platforms and keyboard elsewhere'
+                }
+            }
+        );
+    }
+    
+    blocks.push(
+        {
+            type: 'input',
+            block_id: 'duration_block',
+            label: {
+                type: 'plain_text',
+                text: 'Duration'
+            },
+            element: {
+                type: 'static_select',
+                action_id: 'duration_input',
+                initial_option: selectOption(DURATIONS.includes(values.duration) ? values.duration : '2h'),
+                options: DURATIONS.map(duration => selectOption(duration))
+            }
+        },
+        {
+            type: 'input',
+            block_id: 'channel_block',
+            label: {
+                type: 'plain_text',
+                text: 'Post results to'
+            },
+            element: {
+                type: 'conversations_select',
+                action_id: 'channel_input',
+                ...(channelId && { initial_conversation: channelId }),
+                filter: {
+                    include: ['public', 'private'],
+                    exclude_bot_users: true
+                }
+            }
+        },
+        {
+            type: 'input',
+            block_id: 'name_block',
+            optional: true,
+            label: {
+                type: 'plain_text',
+                text: 'Test name'
+            },
+            element: {
+                type: 'plain_text_input',
+                action_id: 'name_input',
+                ...(values.name && { initial_value: values.name }),
+                placeholder: {
+                    type: 'plain_text',
+                    text: 'Defaults to the URL or app name'
+                }
+            }
+        }
+    );
+    
+    return {
+        type: 'modal',
+        callback_id: 'modal_new_test',
+        private_metadata: privateMetadata || '',
+        title: {
+            type: 'plain_text',
+            text: 'New Deffatest Test'
+        },
+        submit: {
+            type: 'plain_text',
+            text: 'Start Test'
+        },
+        close: {
+            type: 'plain_text',
+            text: 'Cancel'
+        },
+        blocks
+    };
+}
+
+/**
+ * Build a select option
+ */
+function selectOption(value, label) {
+    return {
+        text: { type: 'plain_text', text: label || value },
+        value
+    };
+}
+
+/**
+ * Build linked account info message
+ */
+function buildWhoAmIBlock(userLink, keyValid) {
+    if (userLink.is_team_key) {
+        return {
+            text: 'Using the team key',
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: keyValid
+                            ? '🔑 *Using the workspace team key*\nYour tests run on your workspace\'s shared Deffatest account. Run `/deffatest relink` to use your own account instead.'
+                            : '⚠️ *The workspace team key is no longer valid.*\nAsk a workspace admin to set a new one, or run `/deffatest relink` to link your own account.'
+                    }
+                }
+            ]
+        };
+    }
+    
+    const linkedAt = userLink.linked_at
+        ? `<!date^${Math.floor(new Date(userLink.linked_at).getTime() / 1000)}^{date_short_pretty} at {time}|${new Date(userLink.linked_at).toISOString()}>`
+        : 'Unknown';
+    
+    const blocks = [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '🔗 *Linked Deffatest Account*'
+            },
+            fields: [
+                {
+                    type: 'mrkdwn',
+                    text: `*Email:*\n${userLink.email || 'Unknown'}`
+                },
+                {
+                    type: 'mrkdwn',
+                    text: `*Linked:*\n${linkedAt}`
+                }
+            ]
+        }
+    ];
+    
+    if (!keyValid) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '⚠️ *Your stored API key is no longer valid.*\nRun `/deffatest relink` to link a new key.'
+            }
+        });
+    }
+    
+    return {
+        text: 'Linked Deffatest account',
+        blocks
+    };
+}
+
 /**
  * Build error message
  */
@@ -315,45 +1717,194 @@ function buildErrorBlock(message) {
     ];
 }
 
+/**
+ * Build the reply for a failed Deffatest API call
+ * Typed errors get guidance on what to do next; anything else shows its message
+ * @param {Error} error - Usually a DeffatestAPIError or BudgetExceededError from ../utils/errors
+ * @returns {Object} - { text, blocks }
+ */
+function buildApiErrorBlock(error) {
+    switch (error.code) {
+        case 'authentication':
+            return buildAuthRequiredBlock('Deffatest rejected your API key. It may have been revoked or expired. Link your account again with a current key.');
+        case 'quota_exceeded':
+            return {
+                text: 'Test quota exceeded',
+                blocks: buildErrorBlock(`${error.message}\n\nYour Deffatest plan has no tests left or is being rate limited. Wait for running tests to finish, or upgrade your plan in the Deffatest dashboard.`)
+            };
+        case 'validation':
+            return {
+                text: 'Invalid request',
+                blocks: buildErrorBlock(`Deffatest rejected the request: ${error.message}`)
+            };
+        case 'not_found':
+            return {
+                text: 'Not found',
+                blocks: buildErrorBlock('Deffatest could not find that test. Check the test ID with `/deffatest-history`.')
+            };
+        case 'budget_exceeded':
+            return {
+                text: 'Usage budget reached',
+                blocks: buildErrorBlock(`${error.message}\n\nSee \`/deffatest usage\` for this period's usage, or ask a workspace admin to raise the budget.`)
+            };
+        case 'unavailable':
+            return {
+                text: 'Deffatest is unavailable',
+                blocks: buildErrorBlock('Deffatest is not responding right now. Please try again in a few minutes.')
+            };
+        default:
+            return {
+                text: 'Error',
+                blocks: buildErrorBlock(error.message)
+            };
+    }
+}
+
 /**
  * Build bug alert message
+ * With `bugs` (rows from the test_bugs table) each bug is listed with triage actions;
+ * without them the alert only shows the counts
  */
-function buildBugAlertBlock(testId, criticalCount, highCount) {
+function buildBugAlertBlock(testId, criticalCount, highCount, bugs = []) {
     const emoji = criticalCount > 0 ? '🔴' : '🟠';
     const severity = criticalCount > 0 ? 'critical' : 'high priority';
     const count = criticalCount || highCount;
     
-    return [
+    const blocks = [
         {
             type: 'section',
             text: {
                 type: 'mrkdwn',
                 text: `${emoji} *Alert: ${count} ${severity} bug(s) detected*\n\nTest ID: \`${testId}\``
             }
+        }
+    ];
+    
+    for (const bug of bugs) {
+        blocks.push(...buildBugTriageBlocks(bug));
+    }
+    
+    blocks.push({
+        type: 'actions',
+        elements: [
+            {
+                type: 'button',
+                text: {
+                    type: 'plain_text',
+                    text: 'View Details'
+                },
+                url: `https://deffatest.online/dashboard/test/${testId}`,
+                style: 'danger'
+            }
+        ]
+    });
+    
+    return blocks;
+}
+
+/**
+ * Escape text from the Deffatest API for mrkdwn, so it can't mention people or break formatting
+ */
+function escapeMrkdwn(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const TRIAGE_LABELS = {
+    acknowledged: '👀 Acknowledged',
+    false_positive: '🚫 False positive'
+};
+
+/**
+ * Build one bug's line and triage actions on a bug alert
+ * The actions block_id is `<test-id>:<bug-id>` so handlers know which bug was triaged
+ */
+function buildBugTriageBlocks(bug) {
+    const emoji = bug.severity === 'critical' ? '🔴' : '🟠';
+    
+    const state = [];
+    if (TRIAGE_LABELS[bug.triage_status]) {
+        state.push(`${TRIAGE_LABELS[bug.triage_status]} by <@${bug.triaged_by}>`);
+    }
+    if (bug.assignee_slack_id) {
+        state.push(`👤 Assigned to <@${bug.assignee_slack_id}>`);
+    }
+    if (bug.triaged_by && !bug.synced) {
+        state.push('_Not synced to Deffatest yet_');
+    }
+    
+    const title = escapeMrkdwn(bug.title);
+    const text = bug.triage_status === 'false_positive'
+        ? `${emoji} ~${title}~`
+        : `${emoji} ${title}`;
+    
+    const buttons = bug.triage_status === 'open'
+        ? [
+            {
+                type: 'button',
+                text: { type: 'plain_text', text: 'Acknowledge' },
+                action_id: 'button_bug_acknowledge'
+            },
+            {
+                type: 'button',
+                text: { type: 'plain_text', text: 'False positive' },
+                action_id: 'button_bug_false_positive'
+            }
+        ]
+        : [
+            {
+                type: 'button',
+                text: { type: 'plain_text', text: 'Reopen' },
+                action_id: 'button_bug_reopen'
+            }
+        ];
+    
+    const assignSelect = {
+        type: 'users_select',
+        placeholder: { type: 'plain_text', text: 'Assign to…' },
+        action_id: 'select_bug_assign'
+    };
+    if (bug.assignee_slack_id) {
+        assignSelect.initial_user = bug.assignee_slack_id;
+    }
+    
+    return [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: state.length > 0 ? `${text}\n${state.join('  ·  ')}` : text
+            }
         },
         {
             type: 'actions',
-            elements: [
-                {
-                    type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: 'View Details'
-                    },
-                    url: `https://deffatest.online/dashboard/test/${testId}`,
-                    style: 'danger'
-                }
-            ]
+            block_id: `${bug.test_id}:${bug.bug_id}`,
+            elements: [...buttons, assignSelect]
         }
     ];
 }
 
 module.exports = {
     buildTestStartedBlock,
+    buildTestProgressBlock,
     buildTestCompletedBlock,
+    buildTestFailedBlock,
+    buildTestCancelledBlock,
     buildTestStatusBlock,
+    buildHistoryBlock,
+    buildScheduleListBlock,
+    buildPolicyBlock,
+    buildDomainPolicyBlock,
+    buildBudgetBlock,
+    buildUsageBlock,
+    buildDigestBlock,
+    buildHomeView,
     buildHelpBlock,
     buildAuthRequiredBlock,
+    buildLinkAccountModal,
+    buildTeamKeyModal,
+    buildNewTestModal,
+    buildWhoAmIBlock,
     buildErrorBlock,
+    buildApiErrorBlock,
     buildBugAlertBlock
 };
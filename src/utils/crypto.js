@@ -8,55 +8,113 @@ const crypto = require('crypto');
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
 const AUTH_TAG_LENGTH = 16;
+const KEY_ID_LENGTH = 8;
 
 /**
- * Get encryption key from environment
+ * Get the encryption keys from the environment, keyed by key ID
+ * ENCRYPTION_KEY encrypts; ENCRYPTION_OLD_KEYS (comma-separated) only decrypt,
+ * so values written under a rotated-out key stay readable until re-encrypted
+ * @returns {Object} - { currentId, keys } where keys is a Map of key ID to key
+ */
+function getEncryptionKeys() {
+    const current = parseKey(process.env.ENCRYPTION_KEY, 'ENCRYPTION_KEY');
+    const keys = new Map([[current.id, current.key]]);
+    
+    const oldKeys = (process.env.ENCRYPTION_OLD_KEYS || '').split(',').map(value => value.trim()).filter(Boolean);
+    for (const value of oldKeys) {
+        const old = parseKey(value, 'ENCRYPTION_OLD_KEYS');
+        if (!keys.has(old.id)) keys.set(old.id, old.key);
+    }
+    
+    return { currentId: current.id, keys };
+}
+
+/**
+ * Parse a hex key and derive its key ID
+ * IDs come from a hash of the key, so rotating only means moving the old key to ENCRYPTION_OLD_KEYS
  * SECURITY: Key must be 32 bytes (256 bits) for AES-256
  */
-function getEncryptionKey() {
-    const key = process.env.ENCRYPTION_KEY;
-    if (!key || key.length !== 64) {
-        throw new Error('ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
+function parseKey(value, name) {
+    if (!value || value.length !== 64) {
+        throw new Error(`${name} must be 64 hex characters (32 bytes)`);
     }
-    return Buffer.from(key, 'hex');
+    
+    const key = Buffer.from(value, 'hex');
+    const id = `k${crypto.createHash('sha256').update(key).digest('hex').slice(0, KEY_ID_LENGTH)}`;
+    
+    return { id, key };
+}
+
+/**
+ * Get the ID of the key new values are encrypted with
+ */
+function getCurrentKeyId() {
+    return getEncryptionKeys().currentId;
 }
 
 /**
  * Encrypt sensitive data
  * @param {string} plaintext - Data to encrypt
- * @returns {string} - Encrypted data as hex string (iv:authTag:ciphertext)
+ * @returns {string} - Encrypted data as hex string (keyId:iv:authTag:ciphertext)
  */
 function encrypt(plaintext) {
     if (!plaintext) return null;
     
-    const key = getEncryptionKey();
+    const { currentId, keys } = getEncryptionKeys();
     const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
     
     let encrypted = cipher.update(plaintext, 'utf8', 'hex');
     encrypted += cipher.final('hex');
     
     const authTag = cipher.getAuthTag();
     
-    // Format: iv:authTag:ciphertext (all hex)
-    return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+    // Format: keyId:iv:authTag:ciphertext (all hex after the key ID)
+    return `${currentId}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
 }
 
 /**
  * Decrypt sensitive data
- * @param {string} encryptedData - Encrypted data (iv:authTag:ciphertext format)
+ * Values from before key IDs (iv:authTag:ciphertext) are tried against every key
+ * @param {string} encryptedData - Encrypted data (keyId:iv:authTag:ciphertext or iv:authTag:ciphertext format)
  * @returns {string} - Decrypted plaintext
  */
 function decrypt(encryptedData) {
     if (!encryptedData) return null;
     
-    const key = getEncryptionKey();
+    const { keys } = getEncryptionKeys();
     const parts = encryptedData.split(':');
     
+    if (parts.length === 4) {
+        const key = keys.get(parts[0]);
+        
+        if (!key) {
+            throw new Error(`Encryption key ${parts[0]} is not configured; add it to ENCRYPTION_OLD_KEYS`);
+        }
+        
+        return decryptWithKey(key, parts.slice(1));
+    }
+    
     if (parts.length !== 3) {
         throw new Error('Invalid encrypted data format');
     }
     
+    // The auth tag only verifies under the key that encrypted the value
+    for (const key of keys.values()) {
+        try {
+            return decryptWithKey(key, parts);
+        } catch {
+            // Try the next key
+        }
+    }
+    
+    throw new Error('Encrypted data does not match any configured encryption key');
+}
+
+/**
+ * Decrypt iv, authTag and ciphertext hex parts with one key
+ */
+function decryptWithKey(key, parts) {
     const iv = Buffer.from(parts[0], 'hex');
     const authTag = Buffer.from(parts[1], 'hex');
     const ciphertext = parts[2];
@@ -91,6 +149,7 @@ function hash(data) {
 module.exports = {
     encrypt,
     decrypt,
+    getCurrentKeyId,
     generateSecureToken,
     hash
 };
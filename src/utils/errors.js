@@ -0,0 +1,85 @@
+/**
+ * Deffatest API Errors
+ * Typed failures so handlers can show specific guidance instead of raw API messages
+ */
+
+/**
+ * Base class for failed Deffatest API calls
+ * `code` identifies the kind of failure for callers that don't import the classes
+ */
+class DeffatestAPIError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'api_error';
+        this.status = options.status || null;
+    }
+}
+
+/**
+ * The API key is invalid or has been revoked (401/403)
+ */
+class AuthenticationError extends DeffatestAPIError {
+    constructor(message, status) {
+        super(message, { code: 'authentication', status });
+    }
+}
+
+/**
+ * The account is out of test quota or being rate limited (402/429)
+ */
+class QuotaExceededError extends DeffatestAPIError {
+    constructor(message, status) {
+        super(message, { code: 'quota_exceeded', status });
+    }
+}
+
+/**
+ * The request was rejected as invalid (400/422)
+ */
+class ValidationError extends DeffatestAPIError {
+    constructor(message, status) {
+        super(message, { code: 'validation', status });
+    }
+}
+
+/**
+ * The test or resource doesn't exist (404)
+ */
+class NotFoundError extends DeffatestAPIError {
+    constructor(message, status) {
+        super(message, { code: 'not_found', status });
+    }
+}
+
+/**
+ * Deffatest can't be reached or is failing (5xx, network errors, open circuit)
+ */
+class UnavailableError extends DeffatestAPIError {
+    constructor(message, status) {
+        super(message, { code: 'unavailable', status });
+    }
+}
+
+/**
+ * Starting the test would go over a workspace usage budget
+ * Raised by the bot before Deffatest is called, so it isn't an API error,
+ * but it has a `code` so buildApiErrorBlock can show it the same way
+ */
+class BudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'budget_exceeded';
+    }
+}
+
+module.exports = {
+    DeffatestAPIError,
+    AuthenticationError,
+    QuotaExceededError,
+    ValidationError,
+    NotFoundError,
+    UnavailableError,
+    BudgetExceededError
+};